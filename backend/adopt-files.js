@@ -0,0 +1,39 @@
+// adopt-files.js
+// Files from before workspaces existed sit directly in user_files/, outside every
+// workspace. This moves them into a user's personal workspace:
+//   npm run adopt-files -- <username>
+const fs = require('fs');
+const path = require('path');
+const { BASE_DIR } = require('./lib/workspace');
+const workspaces = require('./lib/workspaces');
+const { move } = require('./lib/fsUtils');
+
+// Directories that hold the workspaces themselves.
+const WORKSPACE_DIRS = ['users', 'shared'];
+
+const adopt = async (username) => {
+    const scope = workspaces.scopeOf(await workspaces.find(workspaces.personalId(username), username));
+    const names = (await fs.promises.readdir(BASE_DIR)).filter((name) => !WORKSPACE_DIRS.includes(name));
+    let skipped = 0;
+    for (const name of names) {
+        const target = path.join(scope.root, name);
+        if (fs.existsSync(target)) {
+            console.error(`Skipped ${name}: already exists in ${scope.id}`);
+            skipped++;
+            continue;
+        }
+        await move(path.join(BASE_DIR, name), target);
+    }
+    console.log(`Moved ${names.length - skipped} item(s) into ${scope.id}`);
+};
+
+const [username] = process.argv.slice(2);
+if (!username) {
+    console.error('Usage: node adopt-files.js <username>');
+    process.exit(1);
+}
+
+adopt(username).catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
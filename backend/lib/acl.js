@@ -0,0 +1,247 @@
+// lib/acl.js
+// Authorization: a user's role sets what they may do in any workspace they belong to, and
+// path rules in <DATA_DIR>/acl.json widen or narrow that for parts of the tree, in every
+// workspace or (with `workspace` set) in one.
+// A matching deny rule always wins; otherwise the role or a matching allow rule must grant the action.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+const { DATA_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { createLock } = require('./lock');
+
+const ACL_FILE = path.join(DATA_DIR, 'acl.json');
+
+const ACTIONS = ['read', 'write', 'delete'];
+const EFFECTS = ['allow', 'deny'];
+const ROLES = {
+    viewer: ['read'],
+    editor: ['read', 'write', 'delete'],
+    // Admins can also manage users, rules and server-wide maintenance.
+    admin: ['read', 'write', 'delete']
+};
+// Accounts created before roles existed had full access.
+const DEFAULT_ROLE = 'editor';
+
+const withStore = createLock();
+
+let rules = null;
+const matchers = new Map();
+
+const load = async () => {
+    if (rules) return rules;
+    try {
+        rules = JSON.parse(await fs.promises.readFile(ACL_FILE, 'utf8')).rules;
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        rules = [];
+    }
+    return rules;
+};
+
+const save = () => withStore('save', async () => {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const tmp = `${ACL_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ rules }, null, 2));
+    await fs.promises.rename(tmp, ACL_FILE);
+});
+
+/**
+ * A rule path is a glob ("vendor/**", "configs/*.json") or a plain prefix ("vendor"), which
+ * covers that path and everything below it. `base` is the directory the rule is rooted at.
+ */
+const compileRulePath = (rulePath) => {
+    if (!matchers.has(rulePath)) {
+        const scan = picomatch.scan(rulePath);
+        const matches = scan.isGlob
+            ? picomatch(rulePath, { dot: true })
+            : (p) => !rulePath || p === rulePath || p.startsWith(`${rulePath}/`);
+        matchers.set(rulePath, { matches, base: scan.isGlob ? scan.base : rulePath });
+    }
+    return matchers.get(rulePath);
+};
+
+const roleOf = (user) => user.role || DEFAULT_ROLE;
+
+const appliesTo = (rule, ws, user) => {
+    if (rule.workspace && rule.workspace !== ws.id) return false;
+    const everyone = !rule.users.length && !rule.roles.length;
+    return everyone || rule.users.includes(user.username) || rule.roles.includes(roleOf(user));
+};
+
+const normalize = (ws, p) => ws.relativePath(ws.resolvePath(p || ''));
+
+const within = (p, dir) => !dir || p === dir || p.startsWith(`${dir}/`);
+
+const denied = (action, relativePath, rule) => {
+    const err = new HttpError(403, 'ACCESS_DENIED', `${action} access to /${relativePath} is denied`);
+    err.details = { action, path: relativePath, rule };
+    return err;
+};
+
+/**
+ * Decides whether `user` may perform `action` on a path in workspace `ws`. Resolves to
+ * { allowed, rule } where rule is the deciding ACL rule, or { role } when the role decided.
+ * A null user is the local operator (stdio MCP server) and may do anything.
+ */
+const check = async (ws, user, action, filename) => {
+    if (!user) return { allowed: true, rule: null };
+    const relativePath = normalize(ws, filename);
+    const role = roleOf(user);
+    let allowedBy = ROLES[role].includes(action) ? { role } : null;
+    for (const rule of await load()) {
+        if (!rule.actions.includes(action) || !appliesTo(rule, ws, user)) continue;
+        if (!compileRulePath(rule.path).matches(relativePath)) continue;
+        if (rule.effect === 'deny') return { allowed: false, path: relativePath, rule };
+        allowedBy = allowedBy || rule;
+    }
+    return allowedBy
+        ? { allowed: true, path: relativePath, rule: allowedBy }
+        : { allowed: false, path: relativePath, rule: { role, actions: ROLES[role] } };
+};
+
+// Throws 403 ACCESS_DENIED, carrying the rule that denied it, unless `check` allows the action.
+const authorize = async (ws, user, action, filename) => {
+    const result = await check(ws, user, action, filename);
+    if (!result.allowed) throw denied(action, result.path, result.rule);
+};
+
+// Yields the path of every file and directory below `dirPath` (absolute) relative to it;
+// symlinks are not followed. Yields nothing if `dirPath` is missing or not a directory.
+async function* entriesBelow(dirPath, prefix = '') {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+        throw err;
+    }
+    for (const entry of entries) {
+        const child = prefix ? `${prefix}/${entry.name}` : entry.name;
+        yield child;
+        if (entry.isDirectory()) yield* entriesBelow(path.join(dirPath, entry.name), child);
+    }
+}
+
+// For operations on a whole directory: also denied if a deny rule is rooted below it, or if
+// the action is denied on anything inside it, which catches rules rooted above it such as
+// "**/*.pem". `contents` is the directory whose entries end up inside `dirname`, when that is
+// not `dirname` itself (the source of a copy or move); `source` is the same as an absolute
+// path, for contents from outside the workspace (a trash entry being restored).
+const authorizeTree = async (ws, user, action, dirname, { contents = dirname, source } = {}) => {
+    await authorize(ws, user, action, dirname);
+    if (!user) return;
+    const relativePath = normalize(ws, dirname);
+    const blocking = (await load()).find((rule) => rule.effect === 'deny' && rule.actions.includes(action)
+        && appliesTo(rule, ws, user) && within(compileRulePath(rule.path).base, relativePath));
+    if (blocking) throw denied(action, relativePath, blocking);
+    for await (const child of entriesBelow(source || ws.resolvePath(normalize(ws, contents)))) {
+        await authorize(ws, user, action, relativePath ? `${relativePath}/${child}` : child);
+    }
+};
+
+// Resolves to a (path) => boolean predicate for filtering listings and search results.
+const readFilter = async (ws, user) => {
+    if (!user) return () => true;
+    const role = roleOf(user);
+    const applicable = (await load()).filter((rule) => rule.actions.includes('read') && appliesTo(rule, ws, user));
+    const roleAllows = ROLES[role].includes('read');
+    return (relativePath) => {
+        let allowed = roleAllows;
+        for (const rule of applicable) {
+            if (!compileRulePath(rule.path).matches(relativePath)) continue;
+            if (rule.effect === 'deny') return false;
+            allowed = true;
+        }
+        return allowed;
+    };
+};
+
+const checkRole = (role) => {
+    if (!ROLES[role]) throw new HttpError(400, 'INVALID_ROLE', `role must be one of: ${Object.keys(ROLES).join(', ')}`);
+};
+
+// Express middleware for server-wide operations reserved to a role.
+const requireRole = (role) => (req, res, next) => {
+    if (roleOf(req.user) === role) return next();
+    const err = new HttpError(403, 'ACCESS_DENIED', `Only users with the ${role} role may do this`);
+    err.details = { rule: { role: roleOf(req.user) } };
+    next(err);
+};
+
+const stringList = (value, field) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        throw new HttpError(400, 'INVALID_RULE', `${field} must be an array of strings`);
+    }
+    return value;
+};
+
+const validateRule = ({ path: rulePath, effect, actions, users, roles, workspace = null, note }) => {
+    if (typeof rulePath !== 'string') throw new HttpError(400, 'INVALID_RULE', 'path is required');
+    if (!EFFECTS.includes(effect)) throw new HttpError(400, 'INVALID_RULE', `effect must be one of: ${EFFECTS.join(', ')}`);
+    const actionList = stringList(actions, 'actions');
+    if (!actionList.length || actionList.some((action) => !ACTIONS.includes(action))) {
+        throw new HttpError(400, 'INVALID_RULE', `actions must list one or more of: ${ACTIONS.join(', ')}`);
+    }
+    const roleList = stringList(roles, 'roles');
+    roleList.forEach(checkRole);
+    if (workspace !== null && typeof workspace !== 'string') {
+        throw new HttpError(400, 'INVALID_RULE', 'workspace must be a workspace id');
+    }
+    return {
+        // Rules are written the way users see paths ("/vendor/**"); stored relative to the workspace.
+        path: rulePath.replace(/^\/+/, ''),
+        effect,
+        actions: actionList,
+        users: stringList(users, 'users'),
+        roles: roleList,
+        workspace,
+        note: typeof note === 'string' ? note : null
+    };
+};
+
+const listRules = () => load();
+
+const addRule = async (input, { createdBy = null } = {}) => {
+    const rule = { id: crypto.randomUUID(), ...validateRule(input), createdBy, createdAt: new Date().toISOString() };
+    (await load()).push(rule);
+    await save();
+    return rule;
+};
+
+const findRule = async (id) => {
+    const rule = (await load()).find((r) => r.id === id);
+    if (!rule) throw new HttpError(404, 'RULE_NOT_FOUND', `No such rule: ${id}`);
+    return rule;
+};
+
+const updateRule = async (id, input) => {
+    const rule = await findRule(id);
+    Object.assign(rule, validateRule({ ...rule, ...input }), { updatedAt: new Date().toISOString() });
+    await save();
+    return rule;
+};
+
+const deleteRule = async (id) => {
+    const rule = await findRule(id);
+    rules = rules.filter((r) => r !== rule);
+    await save();
+};
+
+module.exports = {
+    ACTIONS,
+    ROLES,
+    DEFAULT_ROLE,
+    check,
+    authorize,
+    authorizeTree,
+    readFilter,
+    checkRole,
+    requireRole,
+    listRules,
+    addRule,
+    updateRule,
+    deleteRule
+};
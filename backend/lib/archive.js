@@ -0,0 +1,277 @@
+// lib/archive.js
+// Streaming zip and tar.gz archives of workspace files. Entries are written one after the
+// other and file contents are streamed through, so memory use does not grow with the archive.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { HttpError } = require('./errors');
+
+const FORMATS = {
+    zip: { extension: 'zip', type: 'application/zip' },
+    'tar.gz': { extension: 'tar.gz', type: 'application/gzip' }
+};
+
+// Without zip64 records, zip offsets and sizes are 32-bit and the entry count 16-bit.
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_BYTES = 0xffffffff * 0.99;
+
+// Deepest directory containing all of `paths` ('' for the workspace root).
+const commonParent = (paths) => {
+    const parents = paths.map((p) => (p.includes('/') ? p.split('/').slice(0, -1) : []));
+    const common = parents[0];
+    let length = common.length;
+    parents.forEach((parts) => {
+        while (length && parts.slice(0, length).join('/') !== common.slice(0, length).join('/')) length--;
+    });
+    return common.slice(0, length).join('/');
+};
+
+/**
+ * The entries for an archive of `paths` (files or directories, workspace-relative), named
+ * relative to their common parent, so a single folder unpacks as that folder. Files for
+ * which `canRead` is false are left out; symlinks are never followed.
+ * Resolves to { name, entries } where `name` suits the archive's file name.
+ */
+const collect = async (ws, paths, { canRead = () => true } = {}) => {
+    const selected = paths.map((p) => ws.relativePath(ws.resolvePath(p)));
+    const base = commonParent(selected);
+    const entries = [];
+    const seen = new Set();
+
+    const add = (relative, absolutePath, stats) => {
+        const name = base ? relative.slice(base.length + 1) : relative;
+        if (!name || seen.has(name)) return;
+        seen.add(name);
+        entries.push({
+            name,
+            absolutePath,
+            directory: stats.isDirectory(),
+            mode: stats.mode & 0o777,
+            mtime: stats.mtime,
+            size: stats.isDirectory() ? 0 : stats.size
+        });
+    };
+
+    const visit = async (relative) => {
+        const absolutePath = ws.resolvePath(relative);
+        const stats = await fs.promises.lstat(absolutePath);
+        if (stats.isDirectory()) {
+            if (!relative || canRead(relative)) add(relative, absolutePath, stats);
+            for (const name of (await fs.promises.readdir(absolutePath)).sort()) {
+                await visit(relative ? `${relative}/${name}` : name);
+            }
+        } else if (stats.isFile() && canRead(relative)) {
+            add(relative, absolutePath, stats);
+        }
+    };
+    for (const relative of selected) await visit(relative);
+
+    let name = path.posix.basename(base) || 'workspace';
+    if (selected.length === 1 && selected[0]) name = path.posix.basename(selected[0]);
+    return { name, entries };
+};
+
+// Opens an entry's file, or resolves to null if it was deleted since it was listed.
+const openFile = (entry) => fs.promises.open(entry.absolutePath).catch((err) => {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+});
+
+// ---- zip ----
+
+const dosDateTime = (date) => {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+};
+
+// Sizes and CRC follow the data in a data descriptor (bit 3); names are UTF-8 (bit 11).
+const ZIP_FLAGS = 0x0808;
+const ZIP_VERSION = 20;
+// "Made by" Unix, so extractors restore the file modes from the external attributes.
+const ZIP_MADE_BY = (3 << 8) | ZIP_VERSION;
+
+// Deflates the file, tallying the CRC and both sizes into `info` on the way.
+async function* deflated(handle, info) {
+    const source = handle.createReadStream();
+    const deflate = zlib.createDeflateRaw();
+    source.on('data', (chunk) => {
+        info.crc = zlib.crc32(chunk, info.crc);
+        info.size += chunk.length;
+    });
+    source.on('error', (err) => deflate.destroy(err));
+    source.pipe(deflate);
+    try {
+        for await (const chunk of deflate) {
+            info.compressedSize += chunk.length;
+            yield chunk;
+        }
+    } finally {
+        source.destroy();
+    }
+}
+
+async function* zipChunks(entries) {
+    const central = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const handle = entry.directory ? null : await openFile(entry);
+        if (!entry.directory && !handle) continue;
+        const name = Buffer.from(entry.directory ? `${entry.name}/` : entry.name);
+        const { time, date } = dosDateTime(entry.mtime);
+        const method = entry.directory ? 0 : 8;
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(ZIP_VERSION, 4);
+        header.writeUInt16LE(ZIP_FLAGS, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt16LE(name.length, 26);
+        yield Buffer.concat([header, name]);
+
+        const info = { crc: 0, size: 0, compressedSize: 0 };
+        if (handle) yield* deflated(handle, info);
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(info.crc, 4);
+        descriptor.writeUInt32LE(info.compressedSize, 8);
+        descriptor.writeUInt32LE(info.size, 12);
+        yield descriptor;
+
+        const unixMode = (entry.directory ? 0o040000 : 0o100000) | entry.mode;
+        central.push({ name, time, date, method, info, offset, attributes: unixMode * 0x10000 + (entry.directory ? 0x10 : 0) });
+        offset += header.length + name.length + info.compressedSize + descriptor.length;
+    }
+
+    const directoryOffset = offset;
+    for (const item of central) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(ZIP_MADE_BY, 4);
+        record.writeUInt16LE(ZIP_VERSION, 6);
+        record.writeUInt16LE(ZIP_FLAGS, 8);
+        record.writeUInt16LE(item.method, 10);
+        record.writeUInt16LE(item.time, 12);
+        record.writeUInt16LE(item.date, 14);
+        record.writeUInt32LE(item.info.crc, 16);
+        record.writeUInt32LE(item.info.compressedSize, 20);
+        record.writeUInt32LE(item.info.size, 24);
+        record.writeUInt16LE(item.name.length, 28);
+        record.writeUInt32LE(item.attributes, 38);
+        record.writeUInt32LE(item.offset, 42);
+        yield Buffer.concat([record, item.name]);
+        offset += record.length + item.name.length;
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length, 8);
+    end.writeUInt16LE(central.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    yield end;
+}
+
+// ---- tar (ustar, with pax headers for long or non-ASCII names) ----
+
+const TAR_BLOCK = 512;
+const TAR_MAX_SIZE = 0o77777777777;
+
+const octal = (value, width) => `${Math.floor(value).toString(8).padStart(width - 1, '0')}\0`;
+
+const tarHeader = ({ name, mode, size, mtime, type }) => {
+    const header = Buffer.alloc(TAR_BLOCK);
+    header.write(name, 0, 100, 'utf8');
+    header.write(octal(mode, 8), 100, 'ascii');
+    header.write(octal(0, 8), 108, 'ascii');
+    header.write(octal(0, 8), 116, 'ascii');
+    header.write(octal(size > TAR_MAX_SIZE ? 0 : size, 12), 124, 'ascii');
+    header.write(octal(mtime.getTime() / 1000, 12), 136, 'ascii');
+    header.write(type, 156, 'ascii');
+    header.write('ustar\0', 257, 'ascii');
+    header.write('00', 263, 'ascii');
+    // The checksum is computed with its own field as spaces.
+    header.fill(' ', 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 'ascii');
+    return header;
+};
+
+// "<length> <key>=<value>\n", where the length counts itself.
+const paxRecord = (key, value) => {
+    const body = ` ${key}=${value}\n`;
+    const size = Buffer.byteLength(body);
+    let length = size + String(size).length;
+    if (String(length).length > String(size).length) length = size + String(length).length;
+    return `${length}${body}`;
+};
+
+const padding = (size) => Buffer.alloc((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK);
+
+// The file's first `size` bytes, zero-filled if it shrank since it was opened.
+async function* fileContent(handle, size) {
+    let sent = 0;
+    if (size > 0) {
+        const source = handle.createReadStream({ start: 0, end: size - 1 });
+        try {
+            for await (const chunk of source) {
+                sent += chunk.length;
+                yield chunk;
+            }
+        } finally {
+            source.destroy();
+        }
+    } else {
+        await handle.close();
+    }
+    if (sent < size) yield Buffer.alloc(size - sent);
+    yield padding(size);
+}
+
+async function* tarChunks(entries) {
+    for (const entry of entries) {
+        const handle = entry.directory ? null : await openFile(entry);
+        if (!entry.directory && !handle) continue;
+        const name = entry.directory ? `${entry.name}/` : entry.name;
+        const size = handle ? (await handle.stat()).size : 0;
+
+        const pax = [];
+        if (Buffer.byteLength(name) > 100 || /[^\x20-\x7e]/.test(name)) pax.push(paxRecord('path', name));
+        if (size > TAR_MAX_SIZE) pax.push(paxRecord('size', size));
+        if (pax.length) {
+            const records = Buffer.from(pax.join(''));
+            yield tarHeader({ name: `PaxHeader/${path.posix.basename(name)}`, mode: 0o644, size: records.length, mtime: entry.mtime, type: 'x' });
+            yield records;
+            yield padding(records.length);
+        }
+        yield tarHeader({ name, mode: entry.mode, size, mtime: entry.mtime, type: entry.directory ? '5' : '0' });
+        if (handle) yield* fileContent(handle, size);
+    }
+    // Two empty blocks end the archive.
+    yield Buffer.alloc(TAR_BLOCK * 2);
+}
+
+// Rejects archives the format cannot describe, before anything is sent.
+const checkLimits = (format, entries) => {
+    if (format !== 'zip') return;
+    const bytes = entries.reduce((total, entry) => total + entry.size, 0);
+    if (entries.length >= ZIP_MAX_ENTRIES || bytes >= ZIP_MAX_BYTES) {
+        throw new HttpError(413, 'ARCHIVE_TOO_LARGE', 'Too many or too large files for a zip archive; use tar.gz instead');
+    }
+};
+
+// A readable stream of the archive of `entries` in `format` ("zip" or "tar.gz").
+const createArchive = (format, entries) => {
+    checkLimits(format, entries);
+    if (format === 'zip') return Readable.from(zipChunks(entries), { objectMode: false });
+    // pipeline() passes errors on, so they surface on the gzip stream returned.
+    return pipeline(Readable.from(tarChunks(entries), { objectMode: false }), zlib.createGzip(), () => {});
+};
+
+module.exports = { FORMATS, collect, createArchive };
@@ -0,0 +1,341 @@
+// lib/auth.js
+// Users, login sessions and personal API tokens, kept in <DATA_DIR>/auth.json.
+// Passwords are stored as scrypt hashes; sessions and tokens only as SHA-256 hashes of
+// the secret, which is shown to the client exactly once. Both are sent as bearer tokens.
+// GET requests that cannot set headers (EventSource, download links) use a ticket instead:
+// short-lived, single-use and only kept in memory, so no real token ends up in a URL.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { DATA_DIR, SESSION_TTL_HOURS, TOKEN_DEFAULT_DAYS, TOKEN_MAX_DAYS } = require('./config');
+const { HttpError } = require('./errors');
+const { createLock } = require('./lock');
+const { DEFAULT_ROLE, checkRole } = require('./acl');
+
+const AUTH_FILE = path.join(DATA_DIR, 'auth.json');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Token prefixes tell the two kinds apart (and make leaked tokens easy to grep for).
+const SESSION_PREFIX = 'mcps_';
+const TOKEN_PREFIX = 'mcpt_';
+const TICKET_PREFIX = 'mcpk_';
+const TICKET_TTL_MS = 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+const withStore = createLock();
+
+// The CLI (users.js) changes auth.json from another process, so the file is checked before
+// every use and read again when it was replaced. `loadedVersion` identifies the file `state`
+// was last read from or written as.
+let state = null;
+let loadedVersion = null;
+
+const emptyStore = () => ({ users: {}, sessions: {}, tokens: {} });
+
+// Every save writes a new file and renames it into place, so the inode changes each time.
+const versionOf = ({ ino, mtimeMs, size }) => `${ino}:${mtimeMs}:${size}`;
+
+const currentVersion = () => fs.promises.stat(AUTH_FILE).then(versionOf, (err) => {
+    if (err.code !== 'ENOENT') throw err;
+    return null;
+});
+
+const load = async () => {
+    const version = await currentVersion();
+    if (state && version === loadedVersion) return state;
+    let store = emptyStore();
+    let readVersion = null;
+    const handle = version ? await fs.promises.open(AUTH_FILE).catch(() => null) : null;
+    if (handle) {
+        try {
+            // Version and content from the same open file, in case it is replaced meanwhile.
+            readVersion = versionOf(await handle.stat());
+            store = JSON.parse(await handle.readFile('utf8'));
+        } finally {
+            await handle.close();
+        }
+    }
+    // Token use is only recorded in memory until the next write; keep it across the reload.
+    if (state) {
+        Object.entries(store.tokens).forEach(([key, entry]) => {
+            const previous = state.tokens[key];
+            if (previous && previous.lastUsedAt && !(entry.lastUsedAt >= previous.lastUsedAt)) entry.lastUsedAt = previous.lastUsedAt;
+        });
+    }
+    state = store;
+    loadedVersion = readVersion;
+    return state;
+};
+
+const isExpired = (entry, now = Date.now()) => Date.parse(entry.expiresAt) <= now;
+
+/**
+ * Read-modify-write of the store, one at a time: `change` gets the current store (read again
+ * if another process wrote it) and may throw before changing anything to write nothing.
+ * Resolves to what `change` returns.
+ */
+const update = (change) => withStore('save', async () => {
+    const store = await load();
+    const result = await change(store);
+    const now = Date.now();
+    [store.sessions, store.tokens].forEach((entries) => {
+        Object.keys(entries).forEach((key) => {
+            if (isExpired(entries[key], now)) delete entries[key];
+        });
+    });
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    // Write then rename, so a crash never leaves a truncated file behind.
+    const tmp = `${AUTH_FILE}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmp, 'w', 0o600);
+    try {
+        await handle.writeFile(JSON.stringify(store, null, 2));
+        // Renaming keeps the inode and mtime, so this is the version of the file once in place.
+        loadedVersion = versionOf(await handle.stat());
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(tmp, AUTH_FILE);
+    state = store;
+    return result;
+});
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = (prefix) => `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [, salt, expected] = stored.split('$');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), 64);
+    return crypto.timingSafeEqual(key, Buffer.from(expected, 'base64'));
+};
+
+// Compared against when the username is unknown, so a failed login takes as long either way.
+const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const checkPassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, 'INVALID_PASSWORD', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+};
+
+const publicUser = ({ username, role = DEFAULT_ROLE, createdAt }) => ({ username, role, createdAt });
+
+const createUser = async (username, password, { role = DEFAULT_ROLE } = {}) => {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw new HttpError(400, 'INVALID_USERNAME', 'Username may only contain letters, digits, ".", "_" and "-"');
+    }
+    checkPassword(password);
+    checkRole(role);
+    const passwordHash = await hashPassword(password);
+    return update((store) => {
+        if (store.users[username]) throw new HttpError(409, 'USER_EXISTS', `User already exists: ${username}`);
+        store.users[username] = { username, role, passwordHash, createdAt: new Date().toISOString() };
+        return publicUser(store.users[username]);
+    });
+};
+
+const findUser = (store, username) => {
+    const user = store.users[username];
+    if (!user) throw new HttpError(404, 'USER_NOT_FOUND', `No such user: ${username}`);
+    return user;
+};
+
+// Changing the password also signs the user out everywhere; API tokens stay valid.
+const setPassword = async (username, password) => {
+    checkPassword(password);
+    findUser(await load(), username);
+    const passwordHash = await hashPassword(password);
+    await update((store) => {
+        findUser(store, username).passwordHash = passwordHash;
+        Object.entries(store.sessions).forEach(([key, session]) => {
+            if (session.username === username) delete store.sessions[key];
+        });
+    });
+};
+
+// There must always be someone left who can manage users and rules.
+const checkNotLastAdmin = (store, user) => {
+    const isAdmin = (u) => (u.role || DEFAULT_ROLE) === 'admin';
+    if (isAdmin(user) && Object.values(store.users).filter(isAdmin).length === 1) {
+        throw new HttpError(409, 'LAST_ADMIN', `${user.username} is the only admin`);
+    }
+};
+
+const setRole = async (username, role) => {
+    checkRole(role);
+    return update((store) => {
+        const user = findUser(store, username);
+        if (role !== 'admin') checkNotLastAdmin(store, user);
+        user.role = role;
+        return publicUser(user);
+    });
+};
+
+// Signs the user out everywhere and revokes their API tokens.
+const deleteUser = (username) => update((store) => {
+    checkNotLastAdmin(store, findUser(store, username));
+    delete store.users[username];
+    [store.sessions, store.tokens].forEach((entries) => {
+        Object.entries(entries).forEach(([key, entry]) => {
+            if (entry.username === username) delete entries[key];
+        });
+    });
+});
+
+const listUsers = async () => Object.values((await load()).users).map(publicUser);
+
+const login = async (username, password) => {
+    const store = await load();
+    const user = typeof username === 'string' ? store.users[username] : undefined;
+    const valid = typeof password === 'string'
+        && await verifyPassword(password, user ? user.passwordHash : await dummyHash);
+    if (!user || !valid) throw new HttpError(401, 'INVALID_CREDENTIALS', 'Wrong username or password');
+
+    const token = newSecret(SESSION_PREFIX);
+    const session = {
+        username,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * HOUR_MS).toISOString()
+    };
+    // The password may have changed or the user been removed while it was being checked.
+    await update((latest) => {
+        const current = latest.users[username];
+        if (!current || current.passwordHash !== user.passwordHash) {
+            throw new HttpError(401, 'INVALID_CREDENTIALS', 'Wrong username or password');
+        }
+        latest.sessions[hashSecret(token)] = session;
+    });
+    return { token, expiresAt: session.expiresAt, user: publicUser(user) };
+};
+
+const logout = (token) => update((store) => {
+    delete store.sessions[hashSecret(token)];
+});
+
+const publicToken = ({ id, name, prefix, createdAt, expiresAt, lastUsedAt = null }) => ({
+    id, name, prefix, createdAt, expiresAt, lastUsedAt
+});
+
+const createToken = async (username, { name, expiresInDays = TOKEN_DEFAULT_DAYS } = {}) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new HttpError(400, 'INVALID_TOKEN_NAME', 'Token name is required');
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > TOKEN_MAX_DAYS) {
+        throw new HttpError(400, 'INVALID_EXPIRY', `expiresInDays must be an integer from 1 to ${TOKEN_MAX_DAYS}`);
+    }
+    const token = newSecret(TOKEN_PREFIX);
+    const entry = {
+        id: crypto.randomUUID(),
+        username,
+        name: name.trim(),
+        // Enough of the secret to recognise it in a list, not enough to use it.
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + expiresInDays * DAY_MS).toISOString()
+    };
+    await update((store) => {
+        findUser(store, username);
+        store.tokens[hashSecret(token)] = entry;
+    });
+    return { ...publicToken(entry), token };
+};
+
+const listTokens = async (username) => Object.values((await load()).tokens)
+    .filter((entry) => entry.username === username && !isExpired(entry))
+    .map(publicToken);
+
+const revokeToken = (username, id) => update((store) => {
+    const key = Object.keys(store.tokens).find((k) => store.tokens[k].id === id && store.tokens[k].username === username);
+    if (!key) throw new HttpError(404, 'TOKEN_NOT_FOUND', `No such token: ${id}`);
+    delete store.tokens[key];
+});
+
+// Resolves a bearer token to { user, kind: 'session' | 'token', tokenId? }, or null.
+const verify = async (token) => {
+    if (typeof token !== 'string') return null;
+    const store = await load();
+    const hash = hashSecret(token);
+    const kind = token.startsWith(SESSION_PREFIX) ? 'session' : 'token';
+    const entry = kind === 'session' ? store.sessions[hash] : store.tokens[hash];
+    if (!entry || isExpired(entry) || !store.users[entry.username]) return null;
+    if (kind === 'token') {
+        // Not worth a write per request; persisted with the next change.
+        entry.lastUsedAt = new Date().toISOString();
+        return { user: publicUser(store.users[entry.username]), kind, tokenId: entry.id };
+    }
+    return { user: publicUser(store.users[entry.username]), kind };
+};
+
+// Ticket hash -> { token, expiresAt }: the session or API token the ticket stands in for.
+const tickets = new Map();
+
+// Issues a ticket for one GET request on behalf of `token`, which must still be valid then.
+const createTicket = (token) => {
+    const now = Date.now();
+    tickets.forEach((entry, key) => {
+        if (entry.expiresAt <= now) tickets.delete(key);
+    });
+    const ticket = newSecret(TICKET_PREFIX);
+    const expiresAt = now + TICKET_TTL_MS;
+    tickets.set(hashSecret(ticket), { token, expiresAt });
+    return { ticket, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+// The token behind a ticket, or null; either way the ticket cannot be used again.
+const redeemTicket = (ticket) => {
+    const key = hashSecret(ticket);
+    const entry = tickets.get(key);
+    tickets.delete(key);
+    return entry && entry.expiresAt > Date.now() ? entry.token : null;
+};
+
+const bearerToken = (req) => {
+    const header = req.get('Authorization');
+    const match = header && /^Bearer\s+(\S+)$/i.exec(header);
+    if (match) return match[1];
+    // EventSource and plain links cannot set headers. A used or unknown ticket is passed on
+    // as it is, so it is rejected like any other invalid token.
+    if (req.method === 'GET' && typeof req.query.ticket === 'string') return redeemTicket(req.query.ticket) || req.query.ticket;
+    return null;
+};
+
+// Express middleware: rejects the request with 401 unless it carries a valid session or token.
+const requireAuth = async (req, res, next) => {
+    const token = bearerToken(req);
+    const auth = await verify(token);
+    if (!auth) {
+        res.set('WWW-Authenticate', 'Bearer');
+        const err = token
+            ? new HttpError(401, 'INVALID_TOKEN', 'Token is invalid, expired or revoked')
+            : new HttpError(401, 'AUTH_REQUIRED', 'Authentication required');
+        return next(err);
+    }
+    req.user = auth.user;
+    req.auth = { ...auth, token };
+    next();
+};
+
+module.exports = {
+    createUser,
+    setPassword,
+    setRole,
+    deleteUser,
+    listUsers,
+    login,
+    logout,
+    createToken,
+    listTokens,
+    revokeToken,
+    createTicket,
+    verify,
+    requireAuth
+};
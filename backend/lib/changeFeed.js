@@ -0,0 +1,78 @@
+// lib/changeFeed.js
+// A single ordered feed of workspace changes for live clients. API writes arrive from
+// the workspace events; anything else (shell, editors, git) from the filesystem watcher.
+// Every event gets an increasing id and the most recent ones are kept for replay.
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const workspace = require('./workspace');
+const watcher = require('./watcher');
+
+const BUFFER_SIZE = 1000;
+// The watcher also sees the API's own writes; those are already in the feed.
+const API_ECHO_MS = 1500;
+
+const feed = new EventEmitter();
+feed.setMaxListeners(0);
+
+const buffer = [];
+// Ids continue from the clock so ids from before a restart are always older than the buffer.
+let lastId = Date.now();
+const recentApiWrites = new Map();
+let started = false;
+
+const publish = (change) => {
+    const event = { id: ++lastId, time: new Date().toISOString(), ...change };
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    feed.emit('event', event);
+};
+
+const onApiChange = (change) => {
+    const now = Date.now();
+    [change.path, change.oldPath].filter((p) => p !== undefined).forEach((p) => {
+        // Parent directories created along the way echo through the watcher as well.
+        const parts = p.split('/');
+        parts.forEach((_, i) => recentApiWrites.set(parts.slice(0, i + 1).join('/'), now));
+    });
+    publish({ ...change, source: 'api' });
+};
+
+const onWatcherChange = async ({ path, renamed }) => {
+    const apiWrite = recentApiWrites.get(path);
+    if (apiWrite && Date.now() - apiWrite < API_ECHO_MS) return;
+    recentApiWrites.delete(path);
+
+    const exists = await fs.promises.lstat(workspace.rootScope.resolvePath(path)).then(() => true, () => false);
+    let type = 'modified';
+    if (!exists) type = 'deleted';
+    else if (renamed) type = 'created';
+    publish({ type, path, source: 'watcher' });
+};
+
+const start = () => {
+    if (started) return;
+    started = true;
+    workspace.events.on('change', onApiChange);
+    watcher.start().on('change', (change) => {
+        onWatcherChange(change).catch((err) => console.error('Change feed failed:', err));
+    });
+    setInterval(() => {
+        const cutoff = Date.now() - API_ECHO_MS;
+        recentApiWrites.forEach((time, p) => {
+            if (time < cutoff) recentApiWrites.delete(p);
+        });
+    }, 60 * 1000).unref();
+};
+
+/**
+ * Events after `lastEventId`. Returns null when that id has already dropped out of the
+ * buffer, in which case the client missed changes and has to re-list the workspace.
+ */
+const eventsSince = (lastEventId) => {
+    const id = Number(lastEventId);
+    if (!Number.isFinite(id)) return [];
+    if (buffer.length && id < buffer[0].id - 1) return null;
+    return buffer.filter((event) => event.id > id);
+};
+
+module.exports = { start, events: feed, eventsSince };
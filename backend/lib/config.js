@@ -0,0 +1,40 @@
+// lib/config.js
+// Server settings, overridable through environment variables.
+const path = require('path');
+
+const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+module.exports = {
+    // Workspace files live here; every workspace is a directory below it.
+    FILES_DIR: process.env.MCP_FILES_DIR || path.join(__dirname, '..', 'user_files'),
+    // Server-side state (history, trash, ...) lives here, outside the workspace.
+    DATA_DIR: process.env.MCP_DATA_DIR || path.join(__dirname, '..', '.mcp-data'),
+
+    // Version history retention: whichever limit is hit first prunes old versions; a
+    // maximum of 0 versions keeps no history at all.
+    HISTORY_MAX_VERSIONS: number(process.env.MCP_HISTORY_MAX_VERSIONS, 20),
+    HISTORY_MAX_AGE_DAYS: number(process.env.MCP_HISTORY_MAX_AGE_DAYS, 30),
+
+    // Deleted files stay restorable from the trash for this many days.
+    TRASH_RETENTION_DAYS: number(process.env.MCP_TRASH_RETENTION_DAYS, 30),
+
+    // Login sessions for the web app expire after this many hours.
+    SESSION_TTL_HOURS: number(process.env.MCP_SESSION_TTL_HOURS, 12),
+    // API tokens default to this lifetime and can never be issued for longer than the maximum.
+    TOKEN_DEFAULT_DAYS: number(process.env.MCP_TOKEN_DEFAULT_DAYS, 90),
+    TOKEN_MAX_DAYS: number(process.env.MCP_TOKEN_MAX_DAYS, 365),
+
+    // Storage limits for every workspace; 0 disables a limit.
+    WORKSPACE_QUOTA_MB: number(process.env.MCP_WORKSPACE_QUOTA_MB, 1024),
+    WORKSPACE_MAX_FILES: number(process.env.MCP_WORKSPACE_MAX_FILES, 10000),
+    MAX_FILE_SIZE_MB: number(process.env.MCP_MAX_FILE_SIZE_MB, 100),
+    MAX_FILES_PER_UPLOAD: number(process.env.MCP_MAX_FILES_PER_UPLOAD, 1000),
+
+    // Uploaded archives: at most this much is extracted from one, and no more than this many
+    // times the archive's own size, which stops decompression bombs; 0 disables a limit.
+    MAX_EXTRACT_MB: number(process.env.MCP_MAX_EXTRACT_MB, 1024),
+    MAX_EXTRACT_RATIO: number(process.env.MCP_MAX_EXTRACT_RATIO, 100),
+
+    // Resumable uploads that receive no data for this many hours are discarded.
+    UPLOAD_EXPIRY_HOURS: number(process.env.MCP_UPLOAD_EXPIRY_HOURS, 24)
+};
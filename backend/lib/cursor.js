@@ -0,0 +1,14 @@
+// lib/cursor.js
+// Opaque pagination cursors; internally they are JSON values saying where the next page starts.
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+// Returns the position, or null if the cursor is malformed; callers check its shape.
+const decodeCursor = (cursor) => {
+    try {
+        return JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = { encodeCursor, decodeCursor };
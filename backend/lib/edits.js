@@ -0,0 +1,189 @@
+// lib/edits.js
+// Partial edits for /edit: line-range replacements, unique search/replace pairs and
+// unified-diff patches. Each is all-or-nothing: if any part fails, the whole edit is
+// rejected with a 422 listing every failure, and the file is left untouched.
+const { HttpError } = require('./errors');
+
+// Splits text into lines, remembering the line ending style and whether it ends with one
+// (lines added to an empty file get a final newline).
+const splitLines = (text) => {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const finalEol = text === '' || text.endsWith(eol);
+    const body = finalEol ? text.slice(0, -eol.length) : text;
+    return { lines: text === '' ? [] : body.split(eol), eol, finalEol };
+};
+
+const joinLines = ({ lines, eol, finalEol }) => lines.join(eol) + (finalEol && lines.length ? eol : '');
+
+const textToLines = (text) => (text === '' ? [] : text.replace(/\r?\n$/, '').split(/\r?\n/));
+
+const editFailed = (failures) => {
+    const err = new HttpError(422, 'EDIT_FAILED', `${failures.length} edit(s) could not be applied`);
+    err.details = { failures };
+    return err;
+};
+
+const isLineNumber = (value) => Number.isInteger(value) && value >= 1;
+
+/**
+ * Applies [{ startLine, endLine, newText }] replacements, 1-based and inclusive, all
+ * addressed against the original text. endLine = startLine - 1 inserts before startLine.
+ */
+const applyLineEdits = (text, edits) => {
+    const file = splitLines(text);
+    const failures = [];
+    const indexed = edits.map((edit, index) => ({ ...edit, index }));
+
+    indexed.forEach(({ startLine, endLine, newText, index }) => {
+        if (!isLineNumber(startLine) || !Number.isInteger(endLine) || endLine < startLine - 1) {
+            failures.push({ index, reason: 'startLine and endLine must be line numbers with endLine >= startLine - 1' });
+        } else if (startLine > file.lines.length + 1 || endLine > file.lines.length) {
+            failures.push({ index, reason: `Range ${startLine}-${endLine} is past the end of the file (${file.lines.length} lines)` });
+        } else if (typeof newText !== 'string') {
+            failures.push({ index, reason: 'newText must be a string' });
+        }
+    });
+
+    const sorted = indexed
+        .filter(({ index }) => !failures.some((failure) => failure.index === index))
+        .sort((a, b) => a.startLine - b.startLine);
+    sorted.forEach((edit, i) => {
+        const previous = sorted[i - 1];
+        if (previous && edit.startLine <= previous.endLine) {
+            failures.push({ index: edit.index, reason: `Overlaps edit ${previous.index}` });
+        }
+    });
+    if (failures.length) throw editFailed(failures.sort((a, b) => a.index - b.index));
+
+    // Bottom-up, so earlier line numbers stay valid.
+    sorted.reverse().forEach(({ startLine, endLine, newText }) => {
+        file.lines.splice(startLine - 1, endLine - startLine + 1, ...textToLines(newText));
+    });
+    return joinLines(file);
+};
+
+const countOccurrences = (text, search) => {
+    let count = 0;
+    for (let at = text.indexOf(search); at !== -1; at = text.indexOf(search, at + search.length)) count++;
+    return count;
+};
+
+// Applies [{ search, replace }] in order; each search string must occur exactly once.
+const applyReplacements = (text, replacements) => {
+    const failures = [];
+    let result = text;
+    replacements.forEach(({ search, replace }, index) => {
+        if (typeof search !== 'string' || !search || typeof replace !== 'string') {
+            failures.push({ index, reason: 'search must be a non-empty string and replace a string' });
+            return;
+        }
+        const count = countOccurrences(result, search);
+        if (count !== 1) {
+            failures.push({ index, reason: count ? `search matches ${count} times` : 'search not found' });
+            return;
+        }
+        const at = result.indexOf(search);
+        result = result.slice(0, at) + replace + result.slice(at + search.length);
+    });
+    if (failures.length) throw editFailed(failures);
+    return result;
+};
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+const parseHunks = (patch) => {
+    const hunks = [];
+    let hunk = null;
+    let last = null;
+    textToLines(patch).forEach((line) => {
+        const header = HUNK_HEADER.exec(line);
+        if (header) {
+            hunk = { header: line, oldStart: Number(header[1]), oldLines: [], newLines: [] };
+            hunks.push(hunk);
+        } else if (!hunk) {
+            // File headers (diff --git, ---, +++, index) before the first hunk.
+        } else if (line.startsWith('\\')) {
+            // "\ No newline at end of file" applies to the line just before it.
+            if (last === '-' || last === ' ') hunk.oldNoEol = true;
+            if (last === '+' || last === ' ') hunk.newNoEol = true;
+        } else {
+            last = line[0] || ' ';
+            const content = line.slice(1);
+            if (last === ' ' || last === '-') hunk.oldLines.push(content);
+            if (last === ' ' || last === '+') hunk.newLines.push(content);
+        }
+    });
+    return hunks;
+};
+
+const matchesAt = (lines, position, expected) => expected.every((line, i) => lines[position + i] === line);
+
+// Nearest position at or after `from` where the hunk's old lines match, preferring `expected`.
+const locateHunk = (lines, oldLines, expected, from) => {
+    const last = lines.length - oldLines.length;
+    for (let distance = 0; expected - distance >= from || expected + distance <= last; distance++) {
+        for (const position of [expected - distance, expected + distance]) {
+            if (position >= from && position <= last && matchesAt(lines, position, oldLines)) return position;
+        }
+    }
+    return -1;
+};
+
+// Applies a single-file unified diff, tolerating hunks whose lines have shifted.
+const applyPatch = (text, patch) => {
+    if (typeof patch !== 'string') throw new HttpError(400, 'INVALID_EDIT', 'patch must be a string');
+    const hunks = parseHunks(patch);
+    if (!hunks.length) throw new HttpError(400, 'INVALID_EDIT', 'patch contains no hunks');
+
+    const file = splitLines(text);
+    const failures = [];
+    let offset = 0;
+    let from = 0;
+    hunks.forEach((hunk, index) => {
+        // A hunk with no old lines inserts after line oldStart.
+        const expected = (hunk.oldLines.length ? hunk.oldStart - 1 : hunk.oldStart) + offset;
+        const position = locateHunk(file.lines, hunk.oldLines, Math.max(expected, from), from);
+        if (position === -1) {
+            failures.push({ hunk: index + 1, header: hunk.header, reason: 'context does not match the file' });
+            return;
+        }
+        file.lines.splice(position, hunk.oldLines.length, ...hunk.newLines);
+        offset += position - expected + hunk.newLines.length - hunk.oldLines.length;
+        from = position + hunk.newLines.length;
+        if (hunk.newNoEol) file.finalEol = false;
+        else if (hunk.oldNoEol) file.finalEol = true;
+    });
+    if (failures.length) throw editFailed(failures);
+    return joinLines(file);
+};
+
+/**
+ * Picks the edit described by an /edit request body: either full `content`, or one of
+ * `lines`, `replacements` or `patch`. Returns the content string, or a function from
+ * the current text to the new text.
+ */
+const editFromRequest = ({ content, lines, replacements, patch }) => {
+    const given = { content, lines, replacements, patch };
+    const modes = Object.keys(given).filter((key) => given[key] !== undefined);
+    if (modes.length !== 1) {
+        throw new HttpError(400, 'INVALID_EDIT', 'Provide exactly one of content, lines, replacements or patch');
+    }
+    if (lines !== undefined || replacements !== undefined) {
+        const edits = lines !== undefined ? lines : replacements;
+        if (!Array.isArray(edits) || !edits.length || !edits.every((edit) => edit && typeof edit === 'object')) {
+            throw new HttpError(400, 'INVALID_EDIT', `${modes[0]} must be a non-empty array of objects`);
+        }
+        return lines !== undefined
+            ? (current) => applyLineEdits(current, lines)
+            : (current) => applyReplacements(current, replacements);
+    }
+    if (patch !== undefined) return (current) => applyPatch(current, patch);
+    return content;
+};
+
+module.exports = {
+    applyLineEdits,
+    applyReplacements,
+    applyPatch,
+    editFromRequest
+};
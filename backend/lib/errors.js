@@ -0,0 +1,43 @@
+// lib/errors.js
+// Errors that carry the HTTP status and the stable machine-readable code they are reported with.
+// Optional `details` are merged into the JSON error body.
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Node fs error codes and how they surface over HTTP. The fs messages contain
+// absolute server paths, so clients get these messages instead.
+const FS_ERRORS = {
+    ENOENT: [404, 'FILE_NOT_FOUND', 'File not found'],
+    EEXIST: [409, 'FILE_EXISTS', 'File already exists'],
+    EACCES: [403, 'PERMISSION_DENIED', 'Permission denied'],
+    EPERM: [403, 'PERMISSION_DENIED', 'Permission denied'],
+    EISDIR: [400, 'IS_A_DIRECTORY', 'Path is a directory'],
+    ENOTDIR: [400, 'NOT_A_DIRECTORY', 'A parent of the path is not a directory'],
+    ENOTEMPTY: [409, 'DIRECTORY_NOT_EMPTY', 'Directory is not empty'],
+    ENAMETOOLONG: [400, 'NAME_TOO_LONG', 'File name too long'],
+    ENOSPC: [507, 'INSUFFICIENT_STORAGE', 'No space left on the server']
+};
+
+const toHttpError = (err) => {
+    if (err instanceof HttpError) return err;
+    const known = FS_ERRORS[err.code];
+    if (known) return new HttpError(...known);
+    if (err.name === 'MulterError') return new HttpError(400, err.code, err.message);
+    // Errors from Express middleware (e.g. malformed JSON bodies) carry their own status.
+    if (err.status >= 400 && err.status < 500) return new HttpError(err.status, 'BAD_REQUEST', err.message);
+    return new HttpError(500, 'INTERNAL_ERROR', err.message);
+};
+
+const sendError = (res, err) => {
+    const httpError = toHttpError(err);
+    if (httpError.status >= 500) console.error(err);
+    res.status(httpError.status).json({ error: httpError.message, code: httpError.code, ...httpError.details });
+};
+
+module.exports = { HttpError, toHttpError, sendError };
@@ -0,0 +1,344 @@
+// lib/extract.js
+// Safe extraction of uploaded .zip and .tar.gz archives. Entries are checked as they are read:
+// names must stay inside the target directory (no "zip slip" through "../" or absolute
+// paths), links and special files are refused, and the bytes actually produced are counted
+// against size, file count and compression ratio limits, so a lying header cannot get a
+// decompression bomb through. Any violation rejects the whole archive; callers extract into
+// a staging directory and only move files into the workspace once this succeeds.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./errors');
+const { formatBytes } = require('./quota');
+
+const MB = 1024 * 1024;
+// Small archives may compress better than the ratio limit allows; it applies past this much.
+const RATIO_ALLOWANCE = MB;
+// Pax and GNU long-name records are metadata and are read into memory; real ones are tiny.
+const MAX_META_SIZE = MB;
+const TAR_BLOCK = 512;
+
+const invalid = (message) => new HttpError(400, 'INVALID_ARCHIVE', message);
+const unsupported = (message) => new HttpError(400, 'UNSUPPORTED_ARCHIVE', message);
+
+const unsafe = (entry, reason) => {
+    const err = new HttpError(400, 'UNSAFE_ARCHIVE_ENTRY', `The archive entry ${entry} was refused: ${reason}`);
+    err.details = { entry };
+    return err;
+};
+
+const tooLarge = (code, message, limit) => {
+    const err = new HttpError(413, code, message);
+    err.details = { limit };
+    return err;
+};
+
+// The entry's path with "." segments dropped, or 400 if it would land outside the target.
+const entryPath = (name) => {
+    const normalized = name.replace(/\\/g, '/');
+    const parts = normalized.split('/').filter((part) => part && part !== '.');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || parts.includes('..') || name.includes('\0')) {
+        throw unsafe(name, 'it points outside the target folder');
+    }
+    return parts.join('/');
+};
+
+// ---- zip ----
+
+const ZIP_END_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+
+const readAt = async (handle, position, length) => {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    if (bytesRead < length) throw invalid('The zip archive is truncated');
+    return buffer;
+};
+
+// The entry's content, decompressed and checked against its CRC.
+async function* zipContent(archivePath, { start, compressedSize, method, crc, name }) {
+    let source = [];
+    if (compressedSize > 0) {
+        const raw = fs.createReadStream(archivePath, { start, end: start + compressedSize - 1 });
+        source = method === 8 ? raw.pipe(zlib.createInflateRaw()) : raw;
+        if (method === 8) raw.on('error', (err) => source.destroy(err));
+    }
+    let actual = 0;
+    for await (const chunk of source) {
+        actual = zlib.crc32(chunk, actual);
+        yield chunk;
+    }
+    if (actual !== crc) throw invalid(`${name} is corrupt (CRC mismatch)`);
+}
+
+// Entries from the central directory, which zip readers trust over the local headers.
+async function* zipEntries(archivePath) {
+    const handle = await fs.promises.open(archivePath);
+    try {
+        const { size } = await handle.stat();
+        const tailSize = Math.min(size, 22 + 0xffff);
+        const tail = await readAt(handle, size - tailSize, tailSize);
+        const end = tail.lastIndexOf(ZIP_END_SIGNATURE);
+        if (end === -1 || end + 22 > tail.length) throw invalid('Not a zip archive (no central directory)');
+        const count = tail.readUInt16LE(end + 10);
+        const directorySize = tail.readUInt32LE(end + 12);
+        const directoryOffset = tail.readUInt32LE(end + 16);
+        if (count === 0xffff || directoryOffset === 0xffffffff) throw unsupported('Zip64 archives are not supported');
+        if (directoryOffset + directorySize > size) throw invalid('The zip archive is truncated');
+        const directory = await readAt(handle, directoryOffset, directorySize);
+
+        let position = 0;
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > directory.length || directory.readUInt32LE(position) !== 0x02014b50) {
+                throw invalid('The zip central directory is corrupt');
+            }
+            const madeBy = directory.readUInt16LE(position + 4);
+            const flags = directory.readUInt16LE(position + 8);
+            const method = directory.readUInt16LE(position + 10);
+            const crc = directory.readUInt32LE(position + 16);
+            const compressedSize = directory.readUInt32LE(position + 20);
+            const uncompressedSize = directory.readUInt32LE(position + 24);
+            const nameLength = directory.readUInt16LE(position + 28);
+            const extraLength = directory.readUInt16LE(position + 30);
+            const commentLength = directory.readUInt16LE(position + 32);
+            const attributes = directory.readUInt32LE(position + 38);
+            const localOffset = directory.readUInt32LE(position + 42);
+            const name = directory.toString('utf8', position + 46, position + 46 + nameLength);
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (flags & 0x1) throw unsupported(`${name} is encrypted`);
+            if ([compressedSize, uncompressedSize, localOffset].includes(0xffffffff)) {
+                throw unsupported('Zip64 archives are not supported');
+            }
+            // Archives made on Unix carry the file type and mode in the high 16 bits.
+            const unixMode = madeBy >> 8 === 3 ? attributes >>> 16 : 0;
+            const fileType = unixMode & 0o170000;
+            let type = 'file';
+            if (fileType === 0o120000) type = 'symlink';
+            else if (name.endsWith('/') || fileType === 0o040000 || (attributes & 0x10)) type = 'directory';
+            else if (fileType && fileType !== 0o100000) type = 'special';
+            if (type === 'file' && method !== 0 && method !== 8) {
+                throw unsupported(`${name} uses an unsupported compression method (${method})`);
+            }
+
+            const local = await readAt(handle, localOffset, 30);
+            if (local.readUInt32LE(0) !== 0x04034b50) throw invalid(`${name} has no local header`);
+            const start = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+            yield {
+                name,
+                type,
+                body: type === 'file' ? zipContent(archivePath, { start, compressedSize, method, crc, name }) : null
+            };
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+// ---- tar ----
+
+// Reads a stream of buffers in exact-sized pieces.
+const createReader = (stream) => {
+    const iterator = stream[Symbol.asyncIterator]();
+    let buffered = Buffer.alloc(0);
+    const next = async () => {
+        const { value, done } = await iterator.next();
+        if (done) return false;
+        buffered = buffered.length ? Buffer.concat([buffered, value]) : value;
+        return true;
+    };
+    return {
+        // The next `size` bytes, or null if the stream ends first.
+        async read(size) {
+            while (buffered.length < size) {
+                if (!(await next())) return null;
+            }
+            const piece = buffered.subarray(0, size);
+            buffered = buffered.subarray(size);
+            return piece;
+        },
+        // The next `size` bytes as they arrive.
+        async* stream(size) {
+            let left = size;
+            while (left > 0) {
+                if (!buffered.length && !(await next())) throw invalid('The tar archive is truncated');
+                const piece = buffered.subarray(0, left);
+                buffered = buffered.subarray(piece.length);
+                left -= piece.length;
+                yield piece;
+            }
+        }
+    };
+};
+
+const tarString = (header, start, length) => {
+    const field = header.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.toString('utf8', 0, end === -1 ? length : end);
+};
+
+const tarNumber = (header, start, length) => {
+    if (header[start] & 0x80) throw unsupported('Base-256 tar header fields are not supported');
+    const text = tarString(header, start, length).trim();
+    return text ? parseInt(text, 8) : 0;
+};
+
+const validChecksum = (header) => {
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    return sum === tarNumber(header, 148, 8);
+};
+
+// "<length> <key>=<value>\n" records.
+const parsePax = (data) => {
+    const records = {};
+    let position = 0;
+    while (position < data.length) {
+        const space = data.indexOf(0x20, position);
+        const length = parseInt(data.toString('ascii', position, space), 10);
+        if (space === -1 || !length || position + length > data.length) throw invalid('A pax header is corrupt');
+        const record = data.toString('utf8', space + 1, position + length - 1);
+        const equals = record.indexOf('=');
+        records[record.slice(0, equals)] = record.slice(equals + 1);
+        position += length;
+    }
+    return records;
+};
+
+const TAR_TYPES = { 0: 'file', 7: 'file', 5: 'directory', 1: 'link', 2: 'symlink', 3: 'special', 4: 'special', 6: 'special' };
+
+// Entries in archive order. Each entry's body, whatever its type, must be read to the end
+// before the next entry is asked for, so that every byte inflated passes the caller's limits.
+async function* tarEntries(stream) {
+    const reader = createReader(stream);
+    let pax = {};
+    let longName = null;
+    for (;;) {
+        const header = await reader.read(TAR_BLOCK);
+        if (!header) throw invalid('The tar archive is truncated');
+        if (header.every((byte) => byte === 0)) return;
+        if (!validChecksum(header)) throw invalid('Not a tar archive, or a corrupt one');
+
+        const flag = header[156] ? String.fromCharCode(header[156]) : '0';
+        const size = pax.size !== undefined ? Number(pax.size) : tarNumber(header, 124, 12);
+        const padding = (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+
+        // Extended headers describe the entry that follows them.
+        if (['x', 'g', 'L', 'K'].includes(flag)) {
+            if (size > MAX_META_SIZE) throw invalid('A tar extended header is too large');
+            const data = await reader.read(size + padding);
+            if (!data) throw invalid('The tar archive is truncated');
+            if (flag === 'x') pax = { ...pax, ...parsePax(data.subarray(0, size)) };
+            if (flag === 'L') longName = tarString(data, 0, size);
+            continue;
+        }
+
+        const prefix = tarString(header, 345, 155);
+        const shortName = tarString(header, 0, 100);
+        const name = pax.path || longName || (prefix ? `${prefix}/${shortName}` : shortName);
+        const type = TAR_TYPES[flag] || 'special';
+        yield {
+            name,
+            type: type === 'file' && name.endsWith('/') ? 'directory' : type,
+            body: reader.stream(size)
+        };
+        if (padding && !(await reader.read(padding))) throw invalid('The tar archive is truncated');
+        pax = {};
+        longName = null;
+    }
+}
+
+// ---- extraction ----
+
+const detectFormat = async (archivePath) => {
+    const handle = await fs.promises.open(archivePath);
+    try {
+        const magic = Buffer.alloc(4);
+        await handle.read(magic, 0, 4, 0);
+        if (magic[0] === 0x50 && magic[1] === 0x4b && (magic[2] === 0x03 || magic[2] === 0x05)) return 'zip';
+        if (magic[0] === 0x1f && magic[1] === 0x8b) return 'tar.gz';
+    } finally {
+        await handle.close();
+    }
+    throw unsupported('Only .zip and .tar.gz archives can be extracted');
+};
+
+/**
+ * Extracts the .zip or .tar.gz archive at `archivePath` into directory `dest`. Limits (0 or
+ * unset for none): `maxBytes` extracted in all, `maxFiles` entries, `maxFileSize` per file and
+ * `maxRatio` extracted bytes per archive byte. Rejects, leaving `dest` to be discarded, on an
+ * unsafe entry (400 UNSAFE_ARCHIVE_ENTRY), a broken or unsupported archive (400
+ * INVALID_ARCHIVE, UNSUPPORTED_ARCHIVE) or an exceeded limit (413).
+ * Resolves to the extracted entries, [{ name, directory, size }], in archive order;
+ * a name that occurs twice keeps its last content.
+ */
+const extract = async (archivePath, dest, { maxBytes = 0, maxFiles = 0, maxFileSize = 0, maxRatio = 0 } = {}) => {
+    const format = await detectFormat(archivePath);
+    const { size: archiveSize } = await fs.promises.stat(archivePath);
+    const source = format === 'tar.gz' ? fs.createReadStream(archivePath).pipe(zlib.createGunzip()) : null;
+    const entries = format === 'zip' ? zipEntries(archivePath) : tarEntries(source);
+    const extracted = new Map();
+    let total = 0;
+    let count = 0;
+
+    const limit = (name) => new Transform({
+        transform(chunk, encoding, callback) {
+            this.size = (this.size || 0) + chunk.length;
+            total += chunk.length;
+            if (maxFileSize && this.size > maxFileSize) {
+                callback(tooLarge('FILE_TOO_LARGE', `${name} is larger than the ${formatBytes(maxFileSize)} files may be`, maxFileSize));
+            } else if (maxBytes && total > maxBytes) {
+                callback(tooLarge('ARCHIVE_TOO_LARGE', `The archive holds more than the ${formatBytes(maxBytes)} that may be extracted`, maxBytes));
+            } else if (maxRatio && total > RATIO_ALLOWANCE && total > archiveSize * maxRatio) {
+                callback(tooLarge('COMPRESSION_RATIO_EXCEEDED',
+                    `The archive expands to more than ${maxRatio} times its size`, maxRatio));
+            } else {
+                callback(null, chunk);
+            }
+        }
+    });
+
+    // Reads an entry's data through the limits without keeping it.
+    const discard = async (entry, name) => {
+        if (entry.body) await pipeline(entry.body, limit(name), new Writable({ write: (chunk, encoding, callback) => callback() }));
+    };
+
+    try {
+        for await (const entry of entries) {
+            const name = entryPath(entry.name);
+            if (entry.type === 'symlink' || entry.type === 'link') throw unsafe(entry.name, 'links are not allowed');
+            if (entry.type === 'special') throw unsafe(entry.name, 'only files and folders are allowed');
+            if (maxFiles && ++count > maxFiles) {
+                throw tooLarge('TOO_MANY_FILES', `The archive holds more than the ${maxFiles} entries that may be extracted`, maxFiles);
+            }
+            // Folders and the target itself ("./") are created, not written; any data they carry
+            // is still read, through the limits.
+            if (!name || entry.type === 'directory') await discard(entry, name || entry.name);
+            if (!name) continue;
+            const target = path.join(dest, name);
+            // entryPath() already rules this out; checked again where it matters.
+            if (!target.startsWith(dest + path.sep)) throw unsafe(entry.name, 'it points outside the target folder');
+            if (entry.type === 'directory') {
+                await fs.promises.mkdir(target, { recursive: true });
+                if (!extracted.has(name)) extracted.set(name, { name, directory: true, size: 0 });
+                continue;
+            }
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            const counter = limit(name);
+            await pipeline(entry.body, counter, fs.createWriteStream(target));
+            extracted.delete(name);
+            extracted.set(name, { name, directory: false, size: counter.size || 0 });
+        }
+    } catch (err) {
+        if (String(err.code).startsWith('Z_')) throw invalid('The archive is corrupt');
+        // A file where the archive also has a folder, or the other way round.
+        if (['EEXIST', 'ENOTDIR', 'EISDIR'].includes(err.code)) throw invalid('The archive has a file and a folder with the same name');
+        throw err;
+    } finally {
+        if (source) source.destroy();
+    }
+    return [...extracted.values()];
+};
+
+module.exports = { extract };
@@ -0,0 +1,16 @@
+// lib/fsUtils.js
+// Small filesystem helpers shared by the workspace and the server-side stores.
+const fs = require('fs');
+
+// Moves a file or directory. rename() cannot cross filesystems; fall back to copy + remove.
+const move = async (from, to) => {
+    try {
+        await fs.promises.rename(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await fs.promises.cp(from, to, { recursive: true, verbatimSymlinks: true });
+        await fs.promises.rm(from, { recursive: true, force: true });
+    }
+};
+
+module.exports = { move };
@@ -0,0 +1,134 @@
+// lib/history.js
+// Per-file version history. Before a file is overwritten or deleted its previous
+// content is copied here, keyed by its global path (relative to BASE_DIR):
+//   <DATA_DIR>/history/<sha256 of path>/index.json   versions metadata
+//   <DATA_DIR>/history/<sha256 of path>/<id>         content of version <id>
+// Versions past the retention limits are pruned whenever a path's history is written or
+// listed, and by an hourly sweep over all of it, so untouched files' old versions expire too.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, HISTORY_MAX_VERSIONS, HISTORY_MAX_AGE_DAYS } = require('./config');
+const { HttpError } = require('./errors');
+const { createLock } = require('./lock');
+
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Whichever limit is hit first prunes old versions; a maximum of 0 versions keeps none.
+const retention = {
+    maxVersions: HISTORY_MAX_VERSIONS,
+    maxAgeDays: HISTORY_MAX_AGE_DAYS
+};
+
+const withPathLock = createLock();
+
+const hash = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const dirFor = (relativePath) => path.join(HISTORY_DIR, hash(relativePath));
+
+const readIndex = async (relativePath) => {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(dirFor(relativePath), 'index.json'), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return { path: relativePath, nextId: 1, versions: [] };
+        throw err;
+    }
+};
+
+const writeIndex = async (index) => {
+    const dir = dirFor(index.path);
+    await fs.promises.mkdir(dir, { recursive: true });
+    // Write then rename, so a crash never leaves a truncated index behind.
+    const tmp = path.join(dir, `index.json.${process.pid}.tmp`);
+    await fs.promises.writeFile(tmp, JSON.stringify(index, null, 2));
+    await fs.promises.rename(tmp, path.join(dir, 'index.json'));
+};
+
+// Drops versions past the retention limits (oldest first) and deletes their content.
+const prune = async (index) => {
+    const cutoff = Date.now() - retention.maxAgeDays * DAY_MS;
+    const recent = index.versions.filter((version) => Date.parse(version.createdAt) >= cutoff);
+    const keep = retention.maxVersions > 0 ? recent.slice(-retention.maxVersions) : [];
+    const dropped = index.versions.filter((version) => !keep.includes(version));
+    await Promise.all(dropped.map((version) => fs.promises.rm(path.join(dirFor(index.path), String(version.id)), { force: true })));
+    index.versions = keep;
+    return dropped.length > 0;
+};
+
+/**
+ * Snapshots the current content of `absolutePath` as a new version of `relativePath`.
+ * Skipped when the content equals the latest version. `reason` records what replaced
+ * it (edit, overwrite, upload, delete, restore).
+ */
+const record = (relativePath, absolutePath, reason) => withPathLock(relativePath, async () => {
+    const content = await fs.promises.readFile(absolutePath);
+    const index = await readIndex(relativePath);
+    const contentHash = `sha256:${hash(content)}`;
+    const latest = index.versions[index.versions.length - 1];
+    if (latest && latest.hash === contentHash) return;
+
+    const id = index.nextId++;
+    await fs.promises.mkdir(dirFor(relativePath), { recursive: true });
+    await fs.promises.writeFile(path.join(dirFor(relativePath), String(id)), content);
+    index.versions.push({
+        id,
+        createdAt: new Date().toISOString(),
+        size: content.length,
+        hash: contentHash,
+        reason
+    });
+    await prune(index);
+    await writeIndex(index);
+});
+
+// Versions of a path, newest first.
+const listVersions = (relativePath) => withPathLock(relativePath, async () => {
+    const index = await readIndex(relativePath);
+    if (await prune(index)) await writeIndex(index);
+    return index.versions.slice().reverse();
+});
+
+// Prunes the history of every path.
+const sweep = async () => {
+    const dirs = await fs.promises.readdir(HISTORY_DIR).catch(() => []);
+    for (const dir of dirs) {
+        const stored = await fs.promises.readFile(path.join(HISTORY_DIR, dir, 'index.json'), 'utf8').catch(() => null);
+        if (stored === null) continue;
+        const { path: relativePath } = JSON.parse(stored);
+        await withPathLock(relativePath, async () => {
+            const index = await readIndex(relativePath);
+            if (await prune(index)) await writeIndex(index);
+        });
+    }
+};
+
+setInterval(() => sweep().catch((err) => console.error('History sweep failed:', err)), SWEEP_INTERVAL_MS).unref();
+
+const findVersion = async (relativePath, id) => {
+    const index = await readIndex(relativePath);
+    const version = index.versions.find((v) => String(v.id) === String(id));
+    if (!version) {
+        throw new HttpError(404, 'VERSION_NOT_FOUND', `Version ${id} of ${relativePath} not found`);
+    }
+    return version;
+};
+
+// Absolute path of a stored version's content, for streaming it back.
+const versionPath = async (relativePath, id) => {
+    const version = await findVersion(relativePath, id);
+    return path.join(dirFor(relativePath), String(version.id));
+};
+
+const readVersion = async (relativePath, id) => fs.promises.readFile(await versionPath(relativePath, id));
+
+module.exports = {
+    retention,
+    record,
+    sweep,
+    listVersions,
+    findVersion,
+    versionPath,
+    readVersion
+};
@@ -0,0 +1,166 @@
+// lib/ignore.js
+// Ignore rules for uploads, in .gitignore syntax. Uploads skip what the defaults below
+// match, plus whatever the workspace's .gitignore and .mcpignore files (at any level) say;
+// .mcpignore comes after .gitignore, so it can re-include with "!pattern". Ignore files sent
+// along with an upload count as well. Clients ask POST /upload/ignore which files to leave
+// out before sending anything, so these rules are only implemented here.
+const path = require('path');
+
+// Dependencies, VCS metadata, caches and build output.
+const DEFAULT_PATTERNS = [
+    'node_modules/',
+    'bower_components/',
+    '.git/',
+    '.hg/',
+    '.svn/',
+    '__pycache__/',
+    '*.py[co]',
+    '.venv/',
+    '.next/',
+    '.cache/',
+    'dist/',
+    'build/',
+    'coverage/',
+    '.DS_Store',
+    'Thumbs.db',
+    'npm-debug.log*',
+    'yarn-error.log*'
+];
+
+const IGNORE_FILES = ['.gitignore', '.mcpignore'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Regular expression source for a glob: "*" and "?" stop at "/", "**" spans directories.
+const globSource = (glob) => {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*'
+            && (i === 0 || glob[i - 1] === '/') && (i + 2 === glob.length || glob[i + 2] === '/')) {
+            // "**" at the end matches everything inside; "**/" matches zero or more directories.
+            source += i + 2 === glob.length ? '.*' : '(?:.*/)?';
+            i += i + 2 === glob.length ? 1 : 2;
+        } else if (char === '*') {
+            source += '[^/]*';
+            while (glob[i + 1] === '*') i++;
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+            const end = glob.indexOf(']', i + 2);
+            const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += `[${set.startsWith('!') ? `^${set.slice(1)}` : set}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+};
+
+// One line of an ignore file as a rule, or null for blank lines and comments.
+const parseLine = (line, base) => {
+    if (!line.trim() || line.startsWith('#')) return null;
+    // Trailing spaces are ignored unless escaped with a backslash.
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    const negate = pattern.startsWith('!');
+    if (negate || pattern.startsWith('\\!') || pattern.startsWith('\\#')) pattern = pattern.slice(1);
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) pattern = pattern.slice(0, -1);
+    // A slash anywhere but the end anchors the pattern to the ignore file's directory.
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    if (!pattern) return null;
+    const source = globSource(pattern);
+    return {
+        base,
+        negate,
+        directoryOnly,
+        regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+    };
+};
+
+// The rules of an ignore file found in directory `base` (workspace-relative, '' for the root).
+const parse = (text, base = '') => text.split(/\r?\n/).map((line) => parseLine(line, base)).filter(Boolean);
+
+const DEFAULT_RULES = parse(DEFAULT_PATTERNS.join('\n'));
+
+// Whether the last rule that matches `target` ignores it.
+const matches = (rules, target, isDirectory) => {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.base && !target.startsWith(`${rule.base}/`)) continue;
+        const relative = rule.base ? target.slice(rule.base.length + 1) : target;
+        if (rule.regex.test(relative)) ignored = !rule.negate;
+    }
+    return ignored;
+};
+
+/**
+ * The part of file path `filename` that `rules` ignore: the file itself or one of its
+ * directories, or null if the file is not ignored. As in git, nothing inside an ignored
+ * directory can be re-included.
+ */
+const ignoredPath = (rules, filename) => {
+    const parts = filename.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+        const prefix = parts.slice(0, i).join('/');
+        if (matches(rules, prefix, i < parts.length)) return prefix;
+    }
+    return null;
+};
+
+// The rules from the ignore files in one directory of workspace `ws`.
+const rulesIn = async (ws, dir) => {
+    const texts = await Promise.all(IGNORE_FILES.map((name) => ws.readFile(dir ? `${dir}/${name}` : name).catch(() => '')));
+    return texts.flatMap((text) => parse(text, dir));
+};
+
+/**
+ * A function resolving to ignoredPath() for workspace files, with the defaults and every
+ * ignore file along the way. Ignore files are read once per matcher, so make one per request.
+ * `incoming` maps directories to the text of ignore files arriving with the same upload (as
+ * in an archive); their rules apply after those already in the workspace.
+ */
+const forWorkspace = (ws, { incoming = new Map() } = {}) => {
+    const loaded = new Map();
+    const rulesOf = (dir) => {
+        if (!loaded.has(dir)) {
+            loaded.set(dir, rulesIn(ws, dir).then((rules) => [...rules, ...parse(incoming.get(dir) || '', dir)]));
+        }
+        return loaded.get(dir);
+    };
+    return async (filename) => {
+        const parts = filename.split('/');
+        const dirs = parts.map((_, i) => parts.slice(0, i).join('/'));
+        const rules = (await Promise.all(dirs.map(rulesOf))).flat();
+        return ignoredPath([...DEFAULT_RULES, ...rules], filename);
+    };
+};
+
+const isIgnoreFile = (filename) => IGNORE_FILES.includes(path.posix.basename(filename));
+
+// The `incoming` map for forWorkspace() from the ignore files of an upload, [{ path, text }]
+// with workspace paths; within a directory .mcpignore again comes after .gitignore.
+const incomingRules = (files) => {
+    const order = (file) => IGNORE_FILES.indexOf(path.posix.basename(file.path));
+    const incoming = new Map();
+    [...files].sort((a, b) => order(a) - order(b)).forEach((file) => {
+        const dir = path.posix.dirname(file.path).replace(/^\.$/, '');
+        incoming.set(dir, `${incoming.get(dir) || ''}\n${file.text}`);
+    });
+    return incoming;
+};
+
+module.exports = {
+    DEFAULT_PATTERNS,
+    IGNORE_FILES,
+    parse,
+    ignoredPath,
+    forWorkspace,
+    isIgnoreFile,
+    incomingRules
+};
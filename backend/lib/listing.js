@@ -0,0 +1,122 @@
+// lib/listing.js
+// Paginated, filtered listing of the workspace tree for GET /files.
+const fs = require('fs');
+const workspace = require('./workspace');
+const { HttpError } = require('./errors');
+const { encodeCursor, decodeCursor } = require('./cursor');
+const { compileGlobs, parseInteger } = require('./query');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+// The entry field each sort order compares.
+const SORT_FIELDS = {
+    name: 'name',
+    size: 'size',
+    mtime: 'mtimeMs',
+    type: 'type'
+};
+
+const compareValues = (a, b) => (typeof a === 'string' ? a.localeCompare(b) : a - b);
+
+const typeOf = (stats) => {
+    if (stats.isDirectory()) return 'directory';
+    if (stats.isSymbolicLink()) return 'symlink';
+    return 'file';
+};
+
+const readEntries = async (ws, dirname, compare) => {
+    const names = await fs.promises.readdir(ws.resolvePath(dirname));
+    const entries = await Promise.all(names.map(async (name) => {
+        const relativePath = dirname ? `${dirname}/${name}` : name;
+        const stats = await fs.promises.lstat(ws.resolvePath(relativePath));
+        const type = typeOf(stats);
+        return {
+            path: relativePath,
+            name,
+            type,
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            mimeType: type === 'file' ? workspace.mimeTypeFor(name) : null
+        };
+    }));
+    return entries.sort(compare);
+};
+
+// A cursor is the position of the last entry returned: [name, sort value] for it and each of
+// its ancestors below the listed folder, outermost first. Returns null if it is malformed.
+const parsePosition = (cursor, field) => {
+    const position = decodeCursor(cursor);
+    const valueType = field === 'name' || field === 'type' ? 'string' : 'number';
+    const valid = Array.isArray(position) && position.length > 0 && position.every((step) => Array.isArray(step)
+        && step.length === 2 && typeof step[0] === 'string' && typeof step[1] === valueType);
+    return valid ? position : null;
+};
+
+/**
+ * Lists entries below `path` in workspace `ws` depth first, siblings ordered by `sort`.
+ * `depth` 0 means unlimited; `include`/`exclude` globs match workspace-relative
+ * paths and only filter what is returned, not what is traversed. `canRead` hides
+ * entries the caller has no read access to. A page's cursor says where it ended, so the
+ * next page goes on from there without walking the entries before it again.
+ */
+const listFiles = async (ws, query = {}, { canRead = () => true } = {}) => {
+    const root = query.path || '';
+    const depth = parseInteger(query.depth, 'depth', 0);
+    const limit = Math.min(parseInteger(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT) || DEFAULT_LIMIT;
+
+    const sort = query.sort || 'name';
+    if (!SORT_FIELDS[sort]) {
+        throw new HttpError(400, 'INVALID_QUERY', `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    const field = SORT_FIELDS[sort];
+    const direction = query.order === 'desc' ? -1 : 1;
+    const compare = (a, b) => direction * compareValues(a[field], b[field]) || a.name.localeCompare(b.name);
+    const after = query.cursor === undefined ? null : parsePosition(query.cursor, field);
+    if (query.cursor !== undefined && !after) throw new HttpError(400, 'INVALID_QUERY', 'Invalid cursor');
+    const include = compileGlobs(query.include);
+    const exclude = compileGlobs(query.exclude);
+
+    const rootStats = await fs.promises.stat(ws.resolvePath(root)).catch(() => null);
+    if (!rootStats || !rootStats.isDirectory()) {
+        throw new HttpError(404, 'DIRECTORY_NOT_FOUND', `Directory not found: ${root}`);
+    }
+
+    const entries = [];
+    let last = null;
+
+    // `trail` is the position of `dirname`. With `resume` (the rest of a cursor position) the
+    // walk starts right after that entry, skipping whatever came before it without reading it.
+    // Stops walking as soon as one entry past the requested page has been seen.
+    const walk = async (dirname, level, trail, resume) => {
+        for (const entry of await readEntries(ws, dirname, compare)) {
+            const position = [...trail, [entry.name, entry[field]]];
+            const descend = entry.type === 'directory' && (!depth || level < depth);
+            if (resume) {
+                const [name, value] = resume[0];
+                if (entry.name === name) {
+                    // Listed already, or an ancestor of what was: carry on below it.
+                    if (descend && await walk(entry.path, level + 1, position, resume.length > 1 ? resume.slice(1) : null)) return true;
+                    resume = null;
+                    continue;
+                }
+                if (compare(entry, { name, [field]: value }) < 0) continue;
+                resume = null;
+            }
+            const wanted = (!include || include(entry.path)) && !(exclude && exclude(entry.path)) && canRead(entry.path);
+            if (wanted) {
+                if (entries.length >= limit) return true;
+                const { mtimeMs, ...rest } = entry;
+                entries.push({ ...rest, mtime: new Date(mtimeMs).toISOString(), depth: level });
+                last = position;
+            }
+            if (descend && await walk(entry.path, level + 1, position, null)) return true;
+        }
+        return false;
+    };
+
+    const hasMore = await walk(ws.relativePath(ws.resolvePath(root)), 1, [], after);
+    return hasMore ? { entries, nextCursor: encodeCursor(last) } : { entries };
+};
+
+module.exports = { listFiles };
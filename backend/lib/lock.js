@@ -0,0 +1,18 @@
+// lib/lock.js
+// Per-key async mutex: calls for the same key run one after another.
+const createLock = () => {
+    const tails = new Map();
+
+    return (key, fn) => {
+        const previous = tails.get(key) || Promise.resolve();
+        const result = previous.then(fn);
+        const tail = result.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return result;
+    };
+};
+
+module.exports = { createLock };
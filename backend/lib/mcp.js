@@ -0,0 +1,207 @@
+// lib/mcp.js
+// Transport-agnostic Model Context Protocol (JSON-RPC 2.0) message handling.
+const tools = require('./tools');
+const resources = require('./resources');
+const workspace = require('./workspace');
+const acl = require('./acl');
+const { HttpError, toHttpError } = require('./errors');
+const { name, version } = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+class RpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const success = (id, result) => ({ jsonrpc: '2.0', id, result });
+
+const failure = (id, code, message, data) => ({
+    jsonrpc: '2.0',
+    id,
+    error: data === undefined ? { code, message } : { code, message, data }
+});
+
+const isRequest = (message) => message !== null && typeof message === 'object' && !Array.isArray(message)
+    && message.jsonrpc === '2.0' && typeof message.method === 'string';
+
+const findTool = (toolName) => {
+    const tool = tools.find((t) => t.name === toolName);
+    if (!tool) throw new RpcError(INVALID_PARAMS, `Unknown tool: ${toolName}`);
+    return tool;
+};
+
+const checkArguments = (tool, args) => {
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+        throw new RpcError(INVALID_PARAMS, 'Tool arguments must be an object');
+    }
+    const missing = (tool.inputSchema.required || []).filter((key) => args[key] === undefined);
+    if (missing.length) {
+        throw new RpcError(INVALID_PARAMS, `Missing required argument(s): ${missing.join(', ')}`);
+    }
+};
+
+// One session per connected client; holds whatever per-client state the protocol needs.
+// `send` delivers server-initiated messages (notifications) over the session's transport.
+// `user` is the authenticated account over HTTP; stdio sessions run as the local operator.
+// `scope` is the workspace the session works in; paths in tools, resources and
+// notifications are relative to it.
+const createMcpSession = ({ send = () => {}, user = null, scope = workspace.rootScope } = {}) => {
+    // Workspace-relative paths of the resources this client subscribed to.
+    const subscriptions = new Set();
+
+    const notify = (method, params) => send({ jsonrpc: '2.0', method, params });
+
+    // A change to a directory (move, recursive delete) touches every subscribed file below it.
+    const touches = (changed, subscribed) => typeof changed === 'string'
+        && (subscribed === changed || subscribed.startsWith(`${changed}/`));
+
+    const onChange = (change) => {
+        // Changes arrive with global paths; those in other workspaces are none of this client's business.
+        const path = scope.fromGlobal(change.path);
+        const oldPath = change.oldPath === undefined ? undefined : scope.fromGlobal(change.oldPath);
+        if (path === null && (oldPath === undefined || oldPath === null)) return;
+        subscriptions.forEach((subscribed) => {
+            if (touches(path, subscribed) || touches(oldPath, subscribed)) {
+                notify('notifications/resources/updated', { uri: resources.uriFor(subscribed) });
+            }
+        });
+        if (change.type !== 'modified') {
+            notify('notifications/resources/list_changed');
+        }
+    };
+    workspace.events.on('change', onChange);
+
+    const subscriptionPath = (params = {}) => {
+        const path = resources.pathFromUri(params.uri);
+        if (path === null) throw new RpcError(INVALID_PARAMS, `Invalid resource URI: ${params.uri}`);
+        return scope.relativePath(scope.resolvePath(path));
+    };
+
+    const methods = {
+        initialize: (params = {}) => ({
+            protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion)
+                ? params.protocolVersion
+                : PROTOCOL_VERSIONS[0],
+            capabilities: {
+                tools: {},
+                resources: { subscribe: true, listChanged: true }
+            },
+            serverInfo: { name, version }
+        }),
+
+        ping: () => ({}),
+
+        'tools/list': () => ({
+            tools: tools.map(({ name: toolName, description, inputSchema }) => ({
+                name: toolName,
+                description,
+                inputSchema
+            }))
+        }),
+
+        'tools/call': async (params = {}) => {
+            const tool = findTool(params.name);
+            const args = params.arguments || {};
+            checkArguments(tool, args);
+            try {
+                return await tool.handler(args, { user, workspace: scope });
+            } catch (err) {
+                // Tool failures are reported in the result so the model can see them.
+                const { code, message, details } = toHttpError(err);
+                const detail = details ? `\n${JSON.stringify(details, null, 2)}` : '';
+                return { content: [{ type: 'text', text: `${code}: ${message}${detail}` }], isError: true };
+            }
+        },
+
+        'resources/list': async (params = {}) => {
+            try {
+                return await resources.listResources(scope, params.cursor, { canRead: await acl.readFilter(scope, user) });
+            } catch (err) {
+                throw new RpcError(INVALID_PARAMS, err.message);
+            }
+        },
+
+        'resources/templates/list': () => ({ resourceTemplates: resources.templates }),
+
+        'resources/read': async (params = {}) => {
+            const path = resources.pathFromUri(params.uri);
+            if (path !== null) await acl.authorize(scope, user, 'read', path);
+            const result = await resources.readResource(scope, params.uri);
+            if (!result) throw new RpcError(RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`);
+            return result;
+        },
+
+        'resources/subscribe': async (params) => {
+            const path = subscriptionPath(params);
+            await acl.authorize(scope, user, 'read', path);
+            subscriptions.add(path);
+            return {};
+        },
+
+        'resources/unsubscribe': (params) => {
+            subscriptions.delete(subscriptionPath(params));
+            return {};
+        }
+    };
+
+    const handleOne = async (message) => {
+        if (!isRequest(message)) {
+            const id = message && message.id !== undefined ? message.id : null;
+            return failure(id, INVALID_REQUEST, 'Invalid JSON-RPC request');
+        }
+        const isNotification = message.id === undefined;
+        const method = methods[message.method];
+
+        if (isNotification) {
+            // Notifications (e.g. notifications/initialized) never get a response.
+            return null;
+        }
+        if (!method) {
+            return failure(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+        }
+        try {
+            return success(message.id, await method(message.params));
+        } catch (err) {
+            let code = INTERNAL_ERROR;
+            if (err instanceof RpcError) code = err.code;
+            else if (err instanceof HttpError && err.status < 500) code = INVALID_PARAMS;
+            // e.g. the denied ACL rule, as in the HTTP API's error bodies.
+            const data = err instanceof HttpError && err.details ? { code: err.code, ...err.details } : undefined;
+            return failure(message.id, code, err.message, data);
+        }
+    };
+
+    // Accepts a parsed message or batch and resolves to the response(s), or null if none are due.
+    const handle = async (message) => {
+        if (Array.isArray(message)) {
+            if (!message.length) return failure(null, INVALID_REQUEST, 'Empty batch');
+            const responses = (await Promise.all(message.map(handleOne))).filter(Boolean);
+            return responses.length ? responses : null;
+        }
+        return handleOne(message);
+    };
+
+    // Stops delivering notifications once the client is gone.
+    const close = () => workspace.events.off('change', onChange);
+
+    return { handle, notify, close };
+};
+
+module.exports = {
+    PROTOCOL_VERSIONS,
+    PARSE_ERROR,
+    INVALID_REQUEST,
+    INTERNAL_ERROR,
+    failure,
+    createMcpSession
+};
@@ -0,0 +1,137 @@
+// lib/mcpHttp.js
+// MCP Streamable HTTP transport: POST for JSON-RPC, GET for the server-to-client
+// SSE stream and DELETE to end a session, keyed by the Mcp-Session-Id header.
+const crypto = require('crypto');
+const express = require('express');
+const { PROTOCOL_VERSIONS, PARSE_ERROR, INVALID_REQUEST, failure, createMcpSession } = require('./mcp');
+const { openEventStream } = require('./sse');
+const workspaces = require('./workspaces');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+const sessions = new Map();
+
+// A session stays in the workspace it was initialized in (X-Workspace-Id on the initialize request),
+// for as long as its user remains a member.
+const createSession = (user, scope) => {
+    const id = crypto.randomUUID();
+    const entry = { id, username: user.username, workspaceId: scope.id, streams: new Set(), lastSeen: Date.now() };
+    entry.session = createMcpSession({
+        user,
+        scope,
+        send: (message) => entry.streams.forEach((stream) => stream.send(message, { event: 'message' }))
+    });
+    sessions.set(id, entry);
+    return entry;
+};
+
+const closeSession = (entry) => {
+    entry.streams.forEach((stream) => stream.close());
+    entry.session.close();
+    sessions.delete(entry.id);
+};
+
+// Drop sessions whose client went away without sending DELETE.
+setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    sessions.forEach((entry) => {
+        if (entry.lastSeen < cutoff && !entry.streams.size) closeSession(entry);
+    });
+}, 60 * 1000).unref();
+
+workspaces.events.on('left', ({ id, username }) => {
+    sessions.forEach((entry) => {
+        if (entry.workspaceId === id && (!username || entry.username === username)) closeSession(entry);
+    });
+});
+
+const rpcError = (res, status, code, message) => res.status(status).json(failure(null, code, message));
+
+// Resolves the session named by the request header, or answers with the error the spec requires.
+// A session in a workspace its user no longer belongs to is ended.
+const requireSession = async (req, res) => {
+    const id = req.get(SESSION_HEADER);
+    if (!id) {
+        rpcError(res, 400, INVALID_REQUEST, `Missing ${SESSION_HEADER} header`);
+        return null;
+    }
+    const entry = sessions.get(id);
+    // Someone else's session id is treated as unknown.
+    if (!entry || entry.username !== req.user.username) {
+        rpcError(res, 404, INVALID_REQUEST, 'Session not found');
+        return null;
+    }
+    try {
+        await workspaces.find(entry.workspaceId, req.user.username);
+    } catch (err) {
+        if (err.code !== 'WORKSPACE_NOT_FOUND') throw err;
+        closeSession(entry);
+        rpcError(res, 404, INVALID_REQUEST, 'Session not found');
+        return null;
+    }
+    entry.lastSeen = Date.now();
+    return entry;
+};
+
+const checkProtocolVersion = (req, res, next) => {
+    const versionHeader = req.get('MCP-Protocol-Version');
+    if (versionHeader && !PROTOCOL_VERSIONS.includes(versionHeader)) {
+        return rpcError(res, 400, INVALID_REQUEST, `Unsupported protocol version: ${versionHeader}`);
+    }
+    next();
+};
+
+const router = express.Router();
+
+router.use(checkProtocolVersion);
+
+router.post('/', express.json({ limit: '10mb' }), async (req, res) => {
+    const messages = Array.isArray(req.body) ? req.body : [req.body];
+    const isInitialize = messages.some((message) => message && message.method === 'initialize');
+
+    let entry;
+    if (isInitialize) {
+        entry = createSession(req.user, req.workspace);
+        res.set(SESSION_HEADER, entry.id);
+    } else {
+        entry = await requireSession(req, res);
+        if (!entry) return;
+    }
+
+    const response = await entry.session.handle(req.body);
+    if (!response) {
+        // Only notifications or responses were posted.
+        return res.status(202).end();
+    }
+    res.json(response);
+});
+
+router.get('/', async (req, res) => {
+    if (!req.accepts('text/event-stream')) {
+        return res.status(406).json({ error: 'Client must accept text/event-stream' });
+    }
+    const entry = await requireSession(req, res);
+    if (!entry) return;
+
+    const stream = openEventStream(req, res);
+    entry.streams.add(stream);
+    req.on('close', () => entry.streams.delete(stream));
+});
+
+router.delete('/', async (req, res) => {
+    const entry = await requireSession(req, res);
+    if (!entry) return;
+    closeSession(entry);
+    res.status(204).end();
+});
+
+// Malformed JSON bodies are answered with a JSON-RPC parse error rather than Express's HTML page.
+router.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return rpcError(res, 400, PARSE_ERROR, 'Parse error');
+    }
+    next(err);
+});
+
+module.exports = router;
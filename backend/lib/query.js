@@ -0,0 +1,33 @@
+// lib/query.js
+// Parsing helpers for query-string and JSON options; bad values become 400 INVALID_QUERY.
+const picomatch = require('picomatch');
+const { HttpError } = require('./errors');
+
+// Accepts a single glob or a list (repeated query parameter); null matches everything.
+const compileGlobs = (globs) => {
+    if (globs === undefined || globs === '') return null;
+    const list = [].concat(globs);
+    if (!list.every((glob) => typeof glob === 'string')) {
+        throw new HttpError(400, 'INVALID_QUERY', 'Glob filters must be strings');
+    }
+    return picomatch(list, { dot: true });
+};
+
+const parseInteger = (value, name, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new HttpError(400, 'INVALID_QUERY', `${name} must be a non-negative integer`);
+    }
+    return number;
+};
+
+// true/false from JSON, or "true"/"1"/"false"/"0" from a query string.
+const parseBoolean = (value, name, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw new HttpError(400, 'INVALID_QUERY', `${name} must be true or false`);
+};
+
+module.exports = { compileGlobs, parseInteger, parseBoolean };
@@ -0,0 +1,155 @@
+// lib/quota.js
+// Storage quotas: how much a workspace may hold (bytes and files), how large a single
+// file may be and how many files one upload may carry. Usage is measured by walking the
+// workspace once and cached until something in it changes.
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const workspace = require('./workspace');
+const changeFeed = require('./changeFeed');
+
+const MB = 1024 * 1024;
+
+// In bytes and files; 0 means unlimited.
+const limits = {
+    maxBytes: Math.floor(config.WORKSPACE_QUOTA_MB * MB),
+    maxFiles: config.WORKSPACE_MAX_FILES,
+    maxFileSize: Math.floor(config.MAX_FILE_SIZE_MB * MB),
+    maxFilesPerUpload: config.MAX_FILES_PER_UPLOAD
+};
+
+// Workspace scope -> promise of its { bytes, files }.
+const cache = new Map();
+
+const measure = async (dir) => {
+    const usage = { bytes: 0, files: 0 };
+    const walk = async (current) => {
+        const entries = await fs.promises.readdir(current, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries) {
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                await walk(entryPath);
+            } else if (entry.isFile()) {
+                const stats = await fs.promises.lstat(entryPath).catch(() => null);
+                if (stats) {
+                    usage.bytes += stats.size;
+                    usage.files += 1;
+                }
+            }
+        }
+    };
+    await walk(dir);
+    return usage;
+};
+
+// Bytes and files at `absolutePath`, a file or a whole directory; none if nothing is there.
+const measurePath = async (absolutePath) => {
+    const stats = await fs.promises.lstat(absolutePath).catch(() => null);
+    if (stats && stats.isDirectory()) return measure(absolutePath);
+    return stats && stats.isFile() ? { bytes: stats.size, files: 1 } : { bytes: 0, files: 0 };
+};
+
+const usageOf = (ws) => {
+    if (!cache.has(ws)) {
+        const pending = measure(ws.root);
+        pending.catch(() => cache.delete(ws));
+        cache.set(ws, pending);
+    }
+    return cache.get(ws);
+};
+
+// Changes arrive with global paths; any change inside a workspace makes its usage stale.
+const invalidate = (change) => {
+    cache.forEach((_, ws) => {
+        const touched = [change.path, change.oldPath].some((p) => p !== undefined && ws.fromGlobal(p) !== null);
+        if (touched) cache.delete(ws);
+    });
+};
+workspace.events.on('change', invalidate);
+changeFeed.events.on('event', (event) => {
+    if (event.source === 'watcher') invalidate(event);
+});
+
+// 413 with the workspace's current usage and limits, so clients can show what is left.
+const quotaError = async (ws, code, message) => {
+    const err = new HttpError(413, code, message);
+    err.details = { usage: await usageOf(ws), limits };
+    return err;
+};
+
+const formatBytes = (bytes) => (bytes < MB
+    ? `${Math.round((bytes / 1024) * 10) / 10} KB`
+    : `${Math.round((bytes / MB) * 10) / 10} MB`);
+
+/**
+ * Rejects writing `size` bytes to `filename` if the file or the workspace would exceed its
+ * limits. `previousSize` is the size of the file being replaced, or null for a new file.
+ */
+const checkWrite = async (ws, { path: filename, size, previousSize = null }) => {
+    if (limits.maxFileSize && size > limits.maxFileSize) {
+        throw await quotaError(ws, 'FILE_TOO_LARGE',
+            `${filename} is ${formatBytes(size)}; files may be at most ${formatBytes(limits.maxFileSize)}`);
+    }
+    const usage = await usageOf(ws);
+    if (limits.maxBytes && usage.bytes - (previousSize || 0) + size > limits.maxBytes) {
+        throw await quotaError(ws, 'QUOTA_EXCEEDED',
+            `Writing ${filename} would exceed the workspace quota of ${formatBytes(limits.maxBytes)}`);
+    }
+    if (limits.maxFiles && previousSize === null && usage.files + 1 > limits.maxFiles) {
+        throw await quotaError(ws, 'QUOTA_EXCEEDED', `The workspace already holds its maximum of ${limits.maxFiles} files`);
+    }
+};
+
+/**
+ * Checks a multipart upload before it is read. The request body bounds what it can add,
+ * so a body larger than the space left is refused outright. Resolves to the per-file size
+ * limit for multer: the file size limit or the space left, whichever is smaller.
+ */
+const checkUpload = async (ws, { contentLength }) => {
+    const usage = await usageOf(ws);
+    const remaining = limits.maxBytes ? Math.max(limits.maxBytes - usage.bytes, 0) : Infinity;
+    if (contentLength > remaining) {
+        throw await quotaError(ws, 'QUOTA_EXCEEDED',
+            `The upload (${formatBytes(contentLength)}) is larger than the ${formatBytes(remaining)} left in the workspace`);
+    }
+    return { fileSize: Math.min(limits.maxFileSize || Infinity, remaining) };
+};
+
+// Rejects the `count`th new file of an upload if the workspace is full.
+const checkNewFiles = async (ws, count) => {
+    const usage = await usageOf(ws);
+    if (limits.maxFiles && usage.files + count > limits.maxFiles) {
+        throw await quotaError(ws, 'QUOTA_EXCEEDED',
+            `The upload would exceed the workspace's maximum of ${limits.maxFiles} files`);
+    }
+};
+
+// Rejects adding `bytes` (net of the files they replace) and `files` new files at once.
+const checkBatch = async (ws, { bytes, files }) => {
+    const usage = await usageOf(ws);
+    if (limits.maxBytes && usage.bytes + bytes > limits.maxBytes) {
+        throw await quotaError(ws, 'QUOTA_EXCEEDED',
+            `Adding ${formatBytes(bytes)} would exceed the workspace quota of ${formatBytes(limits.maxBytes)}`);
+    }
+    await checkNewFiles(ws, files);
+};
+
+// multer's limit errors for an upload checked by checkUpload, as quota errors; others pass through.
+const uploadError = async (ws, err, { fileSize }) => {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+        const full = fileSize < (limits.maxFileSize || Infinity);
+        return quotaError(ws, full ? 'QUOTA_EXCEEDED' : 'FILE_TOO_LARGE', full
+            ? `An uploaded file is larger than the ${formatBytes(fileSize)} left in the workspace`
+            : `Uploaded files may be at most ${formatBytes(fileSize)}`);
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+        return quotaError(ws, 'TOO_MANY_FILES', `An upload may contain at most ${limits.maxFilesPerUpload} files`);
+    }
+    return err;
+};
+
+// What GET /usage reports: current usage next to the limits.
+const report = async (ws) => ({ usage: await usageOf(ws), limits });
+
+module.exports = { limits, formatBytes, measurePath, usageOf, quotaError, checkWrite, checkUpload, checkNewFiles, checkBatch, uploadError, report };
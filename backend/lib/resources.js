@@ -0,0 +1,80 @@
+// lib/resources.js
+// Maps workspace files to MCP resources addressed by file:///<relative path> URIs.
+const fs = require('fs');
+const workspace = require('./workspace');
+const { encodeCursor, decodeCursor } = require('./cursor');
+
+const URI_PREFIX = 'file:///';
+const PAGE_SIZE = 500;
+
+const uriFor = (relativePath) => URI_PREFIX + relativePath.split('/').map(encodeURIComponent).join('/');
+
+// Returns the workspace-relative path for a resource URI, or null if the URI is not ours.
+const pathFromUri = (uri) => {
+    if (typeof uri !== 'string' || !uri.startsWith(URI_PREFIX)) return null;
+    try {
+        return uri.slice(URI_PREFIX.length).split('/').map(decodeURIComponent).join('/');
+    } catch (err) {
+        return null;
+    }
+};
+
+const templates = [
+    {
+        uriTemplate: `${URI_PREFIX}{+path}`,
+        name: 'Workspace file',
+        description: 'Any file in the workspace, by its path relative to the workspace root.'
+    }
+];
+
+// Files of workspace `ws`; `canRead` leaves out files the client has no read access to.
+const listResources = async (ws, cursor, { canRead = () => true } = {}) => {
+    const offset = cursor === undefined ? 0 : decodeCursor(cursor);
+    if (!Number.isInteger(offset) || offset < 0) throw new Error('Invalid cursor');
+
+    const resources = [];
+    let index = 0;
+    for await (const relativePath of ws.walkFiles()) {
+        if (!canRead(relativePath)) continue;
+        if (index >= offset + PAGE_SIZE) {
+            return { resources, nextCursor: encodeCursor(index) };
+        }
+        if (index >= offset) {
+            resources.push({
+                uri: uriFor(relativePath),
+                name: relativePath,
+                mimeType: workspace.mimeTypeFor(relativePath) || undefined
+            });
+        }
+        index++;
+    }
+    return { resources };
+};
+
+// Resolves to the resource contents, or null if the URI does not name a workspace file.
+const readResource = async (ws, uri) => {
+    const relativePath = pathFromUri(uri);
+    if (relativePath === null) return null;
+
+    let buffer;
+    try {
+        buffer = await fs.promises.readFile(ws.resolvePath(relativePath));
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'EISDIR') return null;
+        throw err;
+    }
+    const binary = workspace.isBinary(buffer);
+    const mimeType = workspace.mimeTypeFor(relativePath) || (binary ? 'application/octet-stream' : 'text/plain');
+    const contents = binary
+        ? { uri, mimeType, blob: buffer.toString('base64') }
+        : { uri, mimeType, text: buffer.toString('utf8') };
+    return { contents: [contents] };
+};
+
+module.exports = {
+    uriFor,
+    pathFromUri,
+    templates,
+    listResources,
+    readResource
+};
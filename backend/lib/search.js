@@ -0,0 +1,123 @@
+// lib/search.js
+// Line-based literal or regex search over workspace files, yielding results file by
+// file so callers can stream them. Binary and very large files are skipped.
+const fs = require('fs');
+const workspace = require('./workspace');
+const { HttpError } = require('./errors');
+const { compileGlobs, parseInteger, parseBoolean } = require('./query');
+const searchIndex = require('./searchIndex');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_LINE_LENGTH = 1000;
+const MAX_CONTEXT = 10;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseSearchOptions = (input = {}) => {
+    if (typeof input.query !== 'string' || !input.query) {
+        throw new HttpError(400, 'INVALID_QUERY', 'query is required');
+    }
+    const regex = parseBoolean(input.regex, 'regex', false);
+    const caseSensitive = parseBoolean(input.caseSensitive, 'caseSensitive', false);
+    let pattern;
+    try {
+        pattern = new RegExp(regex ? input.query : escapeRegExp(input.query), caseSensitive ? 'g' : 'gi');
+    } catch (err) {
+        throw new HttpError(400, 'INVALID_QUERY', err.message);
+    }
+    return {
+        query: input.query,
+        regex,
+        pattern,
+        root: input.path || '',
+        include: compileGlobs(input.include),
+        exclude: compileGlobs(input.exclude),
+        maxMatchesPerFile: parseInteger(input.maxMatchesPerFile, 'maxMatchesPerFile', 100) || 100,
+        context: Math.min(parseInteger(input.context, 'context', 0), MAX_CONTEXT),
+        maxFiles: parseInteger(input.maxFiles, 'maxFiles', 0)
+    };
+};
+
+const clip = (line) => (line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line);
+
+// Matching lines of `text`, 1-based, with match ranges and surrounding context lines.
+const matchText = (text, { pattern, maxMatchesPerFile, context }) => {
+    const lines = text.split(/\r?\n/);
+    const matches = [];
+    for (let i = 0; i < lines.length; i++) {
+        const ranges = [];
+        for (const match of lines[i].matchAll(pattern)) {
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+        if (!ranges.length) continue;
+        if (matches.length === maxMatchesPerFile) return { matches, truncated: true };
+        const result = { line: i + 1, column: ranges[0].start + 1, text: clip(lines[i]), ranges };
+        if (context) {
+            result.before = lines.slice(Math.max(0, i - context), i).map(clip);
+            result.after = lines.slice(i + 1, i + 1 + context).map(clip);
+        }
+        matches.push(result);
+    }
+    return { matches, truncated: false };
+};
+
+/**
+ * Searches workspace `ws`, yielding { type: 'file', path, matches, truncated } for every
+ * file with matches and finally { type: 'summary', ... }. Files the search index rules out
+ * are not read. Options (from a query string or JSON): query, regex, caseSensitive, path,
+ * include, exclude, maxMatchesPerFile, context, maxFiles.
+ * Invalid options throw before the first result; aborting `signal` stops the walk.
+ * Files for which `canRead` returns false are left out entirely.
+ */
+async function* search(ws, input, { signal, canRead = () => true } = {}) {
+    const options = parseSearchOptions(input);
+    const rootStats = await fs.promises.stat(ws.resolvePath(options.root)).catch(() => null);
+    if (!rootStats || !rootStats.isDirectory()) {
+        throw new HttpError(404, 'DIRECTORY_NOT_FOUND', `Directory not found: ${options.root}`);
+    }
+
+    const mayMatch = searchIndex.candidatesFor(options.query, options.regex);
+    const summary = {
+        type: 'summary',
+        filesSearched: 0,
+        filesMatched: 0,
+        filesSkipped: 0,
+        indexed: Boolean(mayMatch),
+        truncated: false
+    };
+    const root = ws.relativePath(ws.resolvePath(options.root));
+    for await (const relativePath of ws.walkFiles(root)) {
+        if (signal && signal.aborted) return;
+        if (options.include && !options.include(relativePath)) continue;
+        if (options.exclude && options.exclude(relativePath)) continue;
+        if (!canRead(relativePath)) continue;
+
+        const filePath = ws.resolvePath(relativePath);
+        let buffer;
+        try {
+            const stats = await fs.promises.stat(filePath);
+            if (mayMatch && !mayMatch(ws.globalPath(relativePath), stats)) continue;
+            buffer = stats.size <= MAX_FILE_SIZE ? await fs.promises.readFile(filePath) : null;
+        } catch (err) {
+            // Deleted while the search was running.
+            continue;
+        }
+        if (!buffer || workspace.isBinary(buffer)) {
+            summary.filesSkipped++;
+            continue;
+        }
+
+        summary.filesSearched++;
+        const { matches, truncated } = matchText(buffer.toString('utf8'), options);
+        if (!matches.length) continue;
+        summary.filesMatched++;
+        yield { type: 'file', path: relativePath, matches, truncated };
+        if (options.maxFiles && summary.filesMatched >= options.maxFiles) {
+            summary.truncated = true;
+            break;
+        }
+    }
+    yield summary;
+}
+
+module.exports = { search, matchText, parseSearchOptions };
@@ -0,0 +1,300 @@
+// lib/searchIndex.js
+// Persistent trigram index of workspace file contents, used by search to read only the
+// files that can possibly match. Kept current incrementally from the workspace change
+// events (API writes) and the filesystem watcher (out-of-band changes), and saved to
+// <DATA_DIR>/search-index.json so restarts only re-read files that changed meanwhile.
+//
+// The index only ever narrows the candidates: files it does not know, or whose size or
+// mtime differ from what was indexed, are always searched.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const workspace = require('./workspace');
+const watcher = require('./watcher');
+const { createLock } = require('./lock');
+
+const INDEX_FILE = path.join(DATA_DIR, 'search-index.json');
+const FORMAT_VERSION = 1;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const SAVE_DELAY_MS = 5000;
+
+// path -> { id, mtimeMs, size, grams } where grams is the file's trigrams concatenated.
+let files = new Map();
+let paths = new Map();
+let postings = new Map();
+let nextId = 1;
+
+const state = {
+    ready: false,
+    building: false,
+    lastBuiltAt: null,
+    lastUpdatedAt: null,
+    savedAt: null,
+    bytesIndexed: 0
+};
+
+const serialize = createLock();
+let saveTimer = null;
+
+// Lower-cased trigrams of `text`; none span a line break, since search is line based.
+const trigramsOf = (text) => {
+    const lower = text.toLowerCase();
+    const grams = new Set();
+    for (let i = 0; i + 3 <= lower.length; i++) {
+        const gram = lower.substr(i, 3);
+        if (!gram.includes('\n')) grams.add(gram);
+    }
+    return grams;
+};
+
+const addEntry = (relativePath, entry, grams) => {
+    files.set(relativePath, entry);
+    paths.set(entry.id, relativePath);
+    state.bytesIndexed += entry.size;
+    grams.forEach((gram) => {
+        let ids = postings.get(gram);
+        if (!ids) postings.set(gram, (ids = new Set()));
+        ids.add(entry.id);
+    });
+};
+
+const removeEntry = (relativePath) => {
+    const entry = files.get(relativePath);
+    if (!entry) return false;
+    for (let i = 0; i < entry.grams.length; i += 3) {
+        const gram = entry.grams.substr(i, 3);
+        const ids = postings.get(gram);
+        if (ids) {
+            ids.delete(entry.id);
+            if (!ids.size) postings.delete(gram);
+        }
+    }
+    files.delete(relativePath);
+    paths.delete(entry.id);
+    state.bytesIndexed -= entry.size;
+    return true;
+};
+
+const isFresh = (relativePath, stats) => {
+    const entry = files.get(relativePath);
+    return Boolean(entry) && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size;
+};
+
+// (Re)indexes one file if it changed since it was indexed. Binary and large files are
+// recorded without trigrams, so they count as known but never match.
+const indexFile = async (relativePath, stats) => {
+    if (isFresh(relativePath, stats)) return false;
+    let grams = new Set();
+    if (stats.size <= MAX_FILE_SIZE) {
+        const buffer = await fs.promises.readFile(workspace.rootScope.resolvePath(relativePath));
+        if (!workspace.isBinary(buffer)) grams = trigramsOf(buffer.toString('utf8'));
+    }
+    removeEntry(relativePath);
+    addEntry(relativePath, { id: nextId++, mtimeMs: stats.mtimeMs, size: stats.size, grams: [...grams].join('') }, grams);
+    return true;
+};
+
+const removeTree = (relativePath) => {
+    let changed = false;
+    for (const indexed of [...files.keys()]) {
+        if (indexed === relativePath || indexed.startsWith(`${relativePath}/`)) {
+            changed = removeEntry(indexed) || changed;
+        }
+    }
+    return changed;
+};
+
+const scheduleSave = () => {
+    state.lastUpdatedAt = new Date().toISOString();
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => save().catch((err) => console.error('Saving search index failed:', err)), SAVE_DELAY_MS);
+    saveTimer.unref();
+};
+
+// Brings the index in line with whatever is now at `relativePath` (file, directory or nothing).
+const updatePath = (relativePath) => serialize('index', async () => {
+    let stats;
+    try {
+        stats = await fs.promises.lstat(workspace.rootScope.resolvePath(relativePath));
+    } catch (err) {
+        if (removeTree(relativePath)) scheduleSave();
+        return;
+    }
+    let changed = false;
+    if (stats.isDirectory()) {
+        const seen = new Set();
+        for await (const file of workspace.rootScope.walkFiles(relativePath)) {
+            seen.add(file);
+            const fileStats = await fs.promises.stat(workspace.rootScope.resolvePath(file)).catch(() => null);
+            if (fileStats) changed = (await indexFile(file, fileStats)) || changed;
+        }
+        for (const indexed of [...files.keys()]) {
+            if (indexed.startsWith(`${relativePath}/`) && !seen.has(indexed)) changed = removeEntry(indexed) || changed;
+        }
+    } else if (stats.isFile()) {
+        changed = await indexFile(relativePath, stats);
+    } else {
+        changed = removeTree(relativePath);
+    }
+    if (changed) scheduleSave();
+}).catch((err) => console.error(`Indexing ${relativePath} failed:`, err));
+
+const save = async () => {
+    const data = {
+        version: FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+        lastBuiltAt: state.lastBuiltAt,
+        files: Object.fromEntries([...files].map(([file, { mtimeMs, size, grams }]) => [file, { mtimeMs, size, grams }]))
+    };
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const tmp = `${INDEX_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, INDEX_FILE);
+    state.savedAt = data.savedAt;
+};
+
+const reset = () => {
+    files = new Map();
+    paths = new Map();
+    postings = new Map();
+    nextId = 1;
+    state.bytesIndexed = 0;
+};
+
+const load = async () => {
+    let data;
+    try {
+        data = JSON.parse(await fs.promises.readFile(INDEX_FILE, 'utf8'));
+    } catch (err) {
+        return false;
+    }
+    if (data.version !== FORMAT_VERSION) return false;
+    Object.entries(data.files).forEach(([file, { mtimeMs, size, grams }]) => {
+        const set = new Set();
+        for (let i = 0; i < grams.length; i += 3) set.add(grams.substr(i, 3));
+        addEntry(file, { id: nextId++, mtimeMs, size, grams }, set);
+    });
+    state.lastBuiltAt = data.lastBuiltAt;
+    state.savedAt = data.savedAt;
+    return true;
+};
+
+/**
+ * Re-reads everything from scratch. Searches keep working meanwhile; they scan files
+ * directly until the rebuild finishes.
+ */
+const rebuild = async () => {
+    state.ready = false;
+    state.building = true;
+    try {
+        await serialize('index', async () => reset());
+        await updatePath('');
+        state.lastBuiltAt = new Date().toISOString();
+        await save();
+    } finally {
+        state.building = false;
+        state.ready = true;
+    }
+};
+
+// Loads the saved index, catches up with changes made while the server was down, then follows changes.
+const start = async () => {
+    workspace.events.on('change', ({ path: changed, oldPath }) => {
+        updatePath(changed);
+        if (oldPath !== undefined) updatePath(oldPath);
+    });
+    watcher.start().on('change', ({ path: changed }) => updatePath(changed));
+
+    state.building = true;
+    const loaded = await load();
+    await updatePath('');
+    if (!loaded) state.lastBuiltAt = new Date().toISOString();
+    await save();
+    state.building = false;
+    state.ready = true;
+};
+
+// Escapes that stand for some other character, a class or a reference (\u0041, \u{41}, \x41,
+// \cJ, \k<name>, \p{L}, \1, \012), matched whole so their letters and digits are not taken as text.
+const ESCAPE = /\\(?:u\{[^}]*\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|k<[^>]*>|[pP]\{[^}]*\}|[0-9]+|[\s\S]?)/y;
+
+// Literal strings every match must contain, lower-cased; an empty list means no filtering.
+// For regexes only plain text outside groups is used, and not at all if there is an alternation.
+const requiredLiterals = (query, regex) => {
+    if (!regex) return [query.toLowerCase()];
+    if (query.includes('|')) return [];
+    const literals = [];
+    let run = '';
+    let depth = 0;
+    const flush = () => {
+        if (run.length >= 3) literals.push(run.toLowerCase());
+        run = '';
+    };
+    // A quantifier that allows zero repetitions makes the preceding character optional.
+    const optionalAt = (i) => query[i] !== undefined && '?*{'.includes(query[i]);
+    for (let i = 0; i < query.length; i++) {
+        const char = query[i];
+        if (char === '\\') {
+            ESCAPE.lastIndex = i;
+            const [escape] = ESCAPE.exec(query);
+            i += escape.length - 1;
+            // Only an escaped punctuation character is itself.
+            if (escape.length === 2 && /[^a-zA-Z0-9]/.test(escape[1]) && depth === 0 && !optionalAt(i + 1)) {
+                run += escape[1];
+            } else {
+                flush();
+            }
+        } else if (char === '[' || char === '{') {
+            // Skip character classes and quantifier bodies.
+            flush();
+            const close = char === '[' ? ']' : '}';
+            while (i < query.length && query[i] !== close) i += query[i] === '\\' ? 2 : 1;
+        } else if (char === '(') {
+            flush();
+            depth++;
+        } else if (char === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if ('.^$+*?}'.includes(char) || depth > 0 || optionalAt(i + 1)) {
+            flush();
+        } else {
+            run += char;
+        }
+    }
+    flush();
+    return literals;
+};
+
+/**
+ * Returns a predicate telling whether a file (given its current stats) may contain a
+ * match, or null when the index cannot narrow the search (not ready, or no usable literal).
+ */
+const candidatesFor = (query, regex) => {
+    if (!state.ready) return null;
+    const grams = new Set();
+    requiredLiterals(query, regex).forEach((literal) => trigramsOf(literal).forEach((gram) => grams.add(gram)));
+    if (!grams.size) return null;
+
+    const lists = [...grams].map((gram) => postings.get(gram) || new Set()).sort((a, b) => a.size - b.size);
+    const ids = new Set([...lists[0]].filter((id) => lists.every((list) => list.has(id))));
+    const matching = new Set([...ids].map((id) => paths.get(id)));
+    return (relativePath, stats) => !isFresh(relativePath, stats) || matching.has(relativePath);
+};
+
+const stats = () => ({
+    ready: state.ready,
+    building: state.building,
+    files: files.size,
+    trigrams: postings.size,
+    bytesIndexed: state.bytesIndexed,
+    lastBuiltAt: state.lastBuiltAt,
+    lastUpdatedAt: state.lastUpdatedAt,
+    savedAt: state.savedAt
+});
+
+module.exports = {
+    start,
+    rebuild,
+    candidatesFor,
+    requiredLiterals,
+    stats
+};
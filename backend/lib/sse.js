@@ -0,0 +1,31 @@
+// lib/sse.js
+// Minimal Server-Sent Events writer for an Express response.
+const KEEP_ALIVE_MS = 25000;
+
+const openEventStream = (req, res) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Comment lines keep proxies from closing an otherwise idle connection.
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+    req.on('close', () => clearInterval(keepAlive));
+
+    const send = (data, { event, id } = {}) => {
+        if (id !== undefined) res.write(`id: ${id}\n`);
+        if (event) res.write(`event: ${event}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const close = () => {
+        clearInterval(keepAlive);
+        res.end();
+    };
+
+    return { send, close };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,181 @@
+// lib/tools.js
+// MCP tool definitions backed by the workspace file operations. Handlers get the
+// session's { user, workspace } as their second argument.
+const { editFromRequest } = require('./edits');
+const { search } = require('./search');
+const { authorize, readFilter } = require('./acl');
+
+const text = (value) => ({ content: [{ type: 'text', text: value }] });
+
+const globsProperty = (description) => ({
+    type: 'array',
+    items: { type: 'string' },
+    description
+});
+
+const pathProperty = {
+    type: 'string',
+    description: 'Path of the file, relative to the workspace root'
+};
+
+const tools = [
+    {
+        name: 'create_file',
+        description: 'Create a new file in the workspace with the given content. Fails if the file exists unless overwrite is true.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: pathProperty,
+                content: { type: 'string', description: 'Content to write' },
+                overwrite: { type: 'boolean', description: 'Replace the file if it already exists', default: false }
+            },
+            required: ['path', 'content']
+        },
+        handler: async ({ path, content, overwrite = false }, { user, workspace }) => {
+            await authorize(workspace, user, 'write', path);
+            const { created } = await workspace.createFile(path, content, { overwrite });
+            return text(`${created ? 'Created' : 'Overwrote'} ${path}`);
+        }
+    },
+    {
+        name: 'edit_file',
+        description: 'Edit an existing file in the workspace. Give exactly one of: content (replaces the whole file), '
+            + 'lines, replacements or patch. Partial edits are applied atomically; if any part fails nothing is written '
+            + 'and the failures are reported.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: pathProperty,
+                content: { type: 'string', description: 'New content of the whole file' },
+                lines: {
+                    type: 'array',
+                    description: 'Line-range replacements, 1-based and inclusive, addressed against the current file. '
+                        + 'endLine = startLine - 1 inserts before startLine.',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            startLine: { type: 'integer', minimum: 1 },
+                            endLine: { type: 'integer', minimum: 0 },
+                            newText: { type: 'string' }
+                        },
+                        required: ['startLine', 'endLine', 'newText']
+                    }
+                },
+                replacements: {
+                    type: 'array',
+                    description: 'Exact search/replace pairs applied in order; each search must match exactly once.',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            search: { type: 'string' },
+                            replace: { type: 'string' }
+                        },
+                        required: ['search', 'replace']
+                    }
+                },
+                patch: { type: 'string', description: 'Unified diff of this file' },
+                expectedVersion: {
+                    type: 'string',
+                    description: 'Reject the edit if the file no longer matches this "sha256:<hex>" version (the SHA-256 hash of its content)'
+                }
+            },
+            required: ['path']
+        },
+        handler: async ({ path, expectedVersion, ...edit }, { user, workspace }) => {
+            await authorize(workspace, user, 'write', path);
+            await workspace.editFile(path, editFromRequest(edit), { expectedVersion });
+            return text(`Edited ${path}`);
+        }
+    },
+    {
+        name: 'delete_file',
+        description: 'Delete a file from the workspace. The file is moved to the trash and can be restored from there.',
+        inputSchema: {
+            type: 'object',
+            properties: { path: pathProperty },
+            required: ['path']
+        },
+        handler: async ({ path }, { user, workspace }) => {
+            await authorize(workspace, user, 'delete', path);
+            const entry = await workspace.deleteFile(path, { deletedBy: user ? user.username : 'mcp' });
+            return text(`Moved ${path} to the trash (entry ${entry.id}, expires ${entry.expiresAt})`);
+        }
+    },
+    {
+        name: 'read_file',
+        description: 'Read the content of a file in the workspace as UTF-8 text.',
+        inputSchema: {
+            type: 'object',
+            properties: { path: pathProperty },
+            required: ['path']
+        },
+        handler: async ({ path }, { user, workspace }) => {
+            await authorize(workspace, user, 'read', path);
+            return text(await workspace.readFile(path));
+        }
+    },
+    {
+        name: 'list_directory',
+        description: 'List the entries of a directory in the workspace.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'Directory path relative to the workspace root (defaults to the root)'
+                }
+            }
+        },
+        handler: async ({ path = '' }, { user, workspace }) => {
+            await authorize(workspace, user, 'read', path);
+            const canRead = await readFilter(workspace, user);
+            const dirname = workspace.relativePath(workspace.resolvePath(path));
+            const entries = (await workspace.listDirectory(dirname))
+                .filter((entry) => canRead(dirname ? `${dirname}/${entry.name}` : entry.name));
+            return text(JSON.stringify(entries, null, 2));
+        }
+    },
+    {
+        name: 'search',
+        description: 'Search file contents in the workspace for a literal string or regular expression, line by line. '
+            + 'Binary files are skipped. Returns path:line: text for each matching line.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Text or regular expression to search for' },
+                regex: { type: 'boolean', description: 'Treat query as a JavaScript regular expression', default: false },
+                caseSensitive: { type: 'boolean', default: false },
+                path: { type: 'string', description: 'Directory to search in (defaults to the workspace root)' },
+                include: globsProperty('Only search files matching these globs, e.g. ["**/*.js"]'),
+                exclude: globsProperty('Skip files matching these globs'),
+                maxMatchesPerFile: { type: 'integer', minimum: 1, default: 100 },
+                context: { type: 'integer', minimum: 0, maximum: 10, description: 'Lines of context around each match', default: 0 },
+                maxFiles: { type: 'integer', minimum: 1, description: 'Stop after this many matching files', default: 50 }
+            },
+            required: ['query']
+        },
+        handler: async ({ maxFiles = 50, ...options }, { user, workspace }) => {
+            await authorize(workspace, user, 'read', options.path);
+            const output = [];
+            const canRead = await readFilter(workspace, user);
+            for await (const result of search(workspace, { ...options, maxFiles }, { canRead })) {
+                if (result.type === 'summary') {
+                    output.push(`\n${result.filesMatched} file(s) matched, ${result.filesSearched} searched`
+                        + `${result.truncated ? ' (stopped early, narrow the search for more)' : ''}`);
+                    continue;
+                }
+                result.matches.forEach((match) => {
+                    (match.before || []).forEach((line, i) => {
+                        output.push(`${result.path}-${match.line - match.before.length + i}- ${line}`);
+                    });
+                    output.push(`${result.path}:${match.line}: ${match.text}`);
+                    (match.after || []).forEach((line, i) => output.push(`${result.path}-${match.line + i + 1}- ${line}`));
+                });
+                if (result.truncated) output.push(`${result.path}: more matches not shown`);
+            }
+            return text(output.join('\n'));
+        }
+    }
+];
+
+module.exports = tools;
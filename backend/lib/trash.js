@@ -0,0 +1,95 @@
+// lib/trash.js
+// Soft-deleted files and directories. Each entry is a directory under <DATA_DIR>/trash/<id>/
+// holding the deleted content and a meta.json with its original path and who deleted it when.
+// Entries older than TRASH_RETENTION_DAYS are purged automatically.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, TRASH_RETENTION_DAYS } = require('./config');
+const { HttpError } = require('./errors');
+const { move } = require('./fsUtils');
+
+const TRASH_DIR = path.join(DATA_DIR, 'trash');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const entryDir = (id) => path.join(TRASH_DIR, id);
+const contentPath = (id) => path.join(entryDir(id), 'content');
+
+const expiresAt = (entry) => new Date(Date.parse(entry.deletedAt) + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+
+const sizeOf = async (absolutePath) => {
+    const stats = await fs.promises.lstat(absolutePath);
+    if (!stats.isDirectory()) return stats.size;
+    const names = await fs.promises.readdir(absolutePath);
+    const sizes = await Promise.all(names.map((name) => sizeOf(path.join(absolutePath, name))));
+    return sizes.reduce((total, size) => total + size, 0);
+};
+
+// Moves the file or directory at `absolutePath` into the trash and resolves to its entry.
+const put = async (relativePath, absolutePath, { deletedBy = null } = {}) => {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const stats = await fs.promises.lstat(absolutePath);
+    const entry = {
+        id,
+        path: relativePath,
+        type: stats.isDirectory() ? 'directory' : 'file',
+        size: await sizeOf(absolutePath),
+        deletedAt: new Date().toISOString(),
+        deletedBy
+    };
+    await fs.promises.mkdir(entryDir(id), { recursive: true });
+    await fs.promises.writeFile(path.join(entryDir(id), 'meta.json'), JSON.stringify(entry, null, 2));
+    await move(absolutePath, contentPath(id));
+    return { ...entry, expiresAt: expiresAt(entry) };
+};
+
+const readEntry = async (id) => {
+    try {
+        const entry = JSON.parse(await fs.promises.readFile(path.join(entryDir(id), 'meta.json'), 'utf8'));
+        return { ...entry, expiresAt: expiresAt(entry) };
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+};
+
+const purge = (id) => fs.promises.rm(entryDir(id), { recursive: true, force: true });
+
+const sweepExpired = async () => {
+    const ids = await fs.promises.readdir(TRASH_DIR).catch(() => []);
+    const now = new Date().toISOString();
+    const live = [];
+    for (const id of ids) {
+        const entry = await readEntry(id);
+        if (!entry || entry.expiresAt <= now) await purge(id);
+        else live.push(entry);
+    }
+    return live;
+};
+
+setInterval(() => sweepExpired().catch((err) => console.error('Trash sweep failed:', err)), SWEEP_INTERVAL_MS).unref();
+
+// Live entries, most recently deleted first.
+const list = async () => (await sweepExpired()).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+const get = async (id) => {
+    const entry = /^[\w-]+$/.test(String(id)) ? await readEntry(String(id)) : null;
+    if (!entry) throw new HttpError(404, 'TRASH_ENTRY_NOT_FOUND', `Trash entry ${id} not found`);
+    return { entry, contentPath: contentPath(entry.id) };
+};
+
+// Purges every entry, or only those for which `filter(entry)` is true.
+const purgeAll = async (filter = () => true) => {
+    const entries = (await list()).filter(filter);
+    await Promise.all(entries.map((entry) => purge(entry.id)));
+    return entries.length;
+};
+
+module.exports = {
+    put,
+    list,
+    get,
+    purge,
+    purgeAll
+};
@@ -0,0 +1,236 @@
+// lib/uploads.js
+// Resumable uploads in progress (the tus protocol, see routes/uploads.js). Each upload is a
+// directory under <DATA_DIR>/uploads/<id>/ holding the bytes received so far and a meta.json
+// with where the file goes once complete. Uploads untouched for UPLOAD_EXPIRY_HOURS are dropped.
+//
+// Also the batch side shared by /upload and POST /archive: files received into a staging
+// folder are checked as a whole (ignore rules, conflicts, access, quota) before any of them
+// is moved into the workspace.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DATA_DIR, UPLOAD_EXPIRY_HOURS } = require('./config');
+const { HttpError } = require('./errors');
+const { createLock } = require('./lock');
+const { authorize } = require('./acl');
+const ignore = require('./ignore');
+const quota = require('./quota');
+
+const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const HOUR_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = HOUR_MS;
+
+// What happens to an uploaded file that already exists, for /upload and resumable uploads alike:
+// "overwrite" (the old content goes to history), "skip", "rename" (keep both, as
+// "name (1).ext") or "fail" (for a batch: nothing from it is kept).
+const CONFLICT_POLICIES = ['overwrite', 'skip', 'rename', 'fail'];
+
+// Upload-Checksum algorithms, by their tus names.
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Chunks for the same upload are written one at a time.
+const withUpload = createLock();
+
+const uploadDir = (id) => path.join(UPLOADS_DIR, id);
+const dataPath = (id) => path.join(uploadDir(id), 'data');
+const metaPath = (id) => path.join(uploadDir(id), 'meta.json');
+
+const expiresAt = (entry) => new Date(Date.parse(entry.updatedAt) + UPLOAD_EXPIRY_HOURS * HOUR_MS);
+
+const offsetOf = async (id) => (await fs.promises.stat(dataPath(id))).size;
+
+const writeMeta = (entry) => fs.promises.writeFile(metaPath(entry.id), JSON.stringify(entry, null, 2));
+
+const readEntry = async (id) => {
+    try {
+        return JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+};
+
+const remove = (id) => fs.promises.rm(uploadDir(id), { recursive: true, force: true });
+
+/**
+ * Starts an upload of `length` bytes to `filename` in workspace `workspaceId`, on behalf of
+ * `username`. `metadata` is the decoded Upload-Metadata, kept to echo back on HEAD.
+ */
+const create = async ({ username, workspaceId, filename, length, metadata = {} }) => {
+    const now = new Date().toISOString();
+    const entry = {
+        id: crypto.randomBytes(16).toString('hex'),
+        username,
+        workspace: workspaceId,
+        path: filename,
+        length,
+        metadata,
+        createdAt: now,
+        updatedAt: now
+    };
+    await fs.promises.mkdir(uploadDir(entry.id), { recursive: true });
+    await fs.promises.writeFile(dataPath(entry.id), '');
+    await writeMeta(entry);
+    return { ...entry, offset: 0, expiresAt: expiresAt(entry) };
+};
+
+// The upload with its current offset. Expired uploads are removed and reported as 410.
+const get = async (id) => {
+    const entry = /^[0-9a-f]+$/.test(String(id)) ? await readEntry(String(id)) : null;
+    if (!entry) throw new HttpError(404, 'UPLOAD_NOT_FOUND', `Upload ${id} not found`);
+    if (expiresAt(entry) <= new Date()) {
+        await remove(entry.id);
+        throw new HttpError(410, 'UPLOAD_EXPIRED', `Upload ${id} has expired`);
+    }
+    return { ...entry, offset: await offsetOf(entry.id), expiresAt: expiresAt(entry) };
+};
+
+// "sha1 <base64 digest>" from an Upload-Checksum header.
+const parseChecksum = (header) => {
+    const [algorithm, value] = String(header).trim().split(/\s+/);
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !value) {
+        throw new HttpError(400, 'UNSUPPORTED_CHECKSUM', `Upload-Checksum must be one of: ${CHECKSUM_ALGORITHMS.join(', ')}`);
+    }
+    return { algorithm, value };
+};
+
+/**
+ * Appends the chunk streamed by `body` at `offset`, which must be the current offset (409
+ * otherwise). With a `checksum` the chunk is verified and dropped on mismatch (460); an
+ * interrupted chunk without one keeps what arrived, so the client can resume from there.
+ * Resolves to the upload with its new offset.
+ */
+const append = (id, body, { offset, checksum = null }) => withUpload(String(id), async () => {
+    const upload = await get(id);
+    if (offset !== upload.offset) {
+        const err = new HttpError(409, 'OFFSET_MISMATCH', `Upload-Offset ${offset} does not match the current offset ${upload.offset}`);
+        err.details = { offset: upload.offset };
+        throw err;
+    }
+    const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+    let received = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (upload.offset + received > upload.length) {
+                callback(new HttpError(413, 'UPLOAD_TOO_LARGE', `The upload is longer than its Upload-Length of ${upload.length}`));
+                return;
+            }
+            if (hash) hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+    const entry = await readEntry(upload.id);
+    entry.updatedAt = new Date().toISOString();
+    try {
+        await pipeline(body, counter, fs.createWriteStream(dataPath(upload.id), { flags: 'a' }));
+        if (hash && hash.digest('base64') !== checksum.value) {
+            throw new HttpError(460, 'CHECKSUM_MISMATCH', 'The chunk does not match its Upload-Checksum');
+        }
+    } catch (err) {
+        if (checksum || err instanceof HttpError) await fs.promises.truncate(dataPath(upload.id), upload.offset);
+        await writeMeta(entry);
+        throw err;
+    }
+    await writeMeta(entry);
+    return { ...entry, offset: await offsetOf(upload.id), expiresAt: expiresAt(entry) };
+});
+
+const sweepExpired = async () => {
+    const now = new Date();
+    for (const id of await fs.promises.readdir(UPLOADS_DIR).catch(() => [])) {
+        const entry = await readEntry(id);
+        if (!entry || expiresAt(entry) <= now) await remove(id);
+    }
+};
+
+setInterval(() => sweepExpired().catch((err) => console.error('Upload sweep failed:', err)), SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Decides what happens to each file of a batch, [{ path, source, size }] with workspace paths
+ * and `source` the staged copy, and checks access and quota for all of them before anything
+ * is written. Ignore files in the batch apply to its own folders, as if already written.
+ * `folders` are created too (so empty ones are kept) unless ignored. Resolves to
+ * { results, imports, folders }: results for the files left out, and imports as
+ * { source, path, requestedPath } for the rest.
+ */
+const planBatch = async (ws, user, files, { policy, folders = [] }) => {
+    const ignoreFiles = [];
+    for (const file of files.filter((f) => ignore.isIgnoreFile(f.path))) {
+        ignoreFiles.push({ path: file.path, text: await fs.promises.readFile(file.source, 'utf8') });
+    }
+    const ignoredPath = ignore.forWorkspace(ws, { incoming: ignore.incomingRules(ignoreFiles) });
+
+    const created = [];
+    for (const dirname of folders) {
+        if (await ignoredPath(dirname)) continue;
+        await authorize(ws, user, 'write', dirname);
+        created.push(dirname);
+    }
+
+    const results = [];
+    const imports = [];
+    const conflicts = [];
+    let bytes = 0;
+    let newFiles = 0;
+    for (const file of files) {
+        const ignored = await ignoredPath(file.path);
+        if (ignored) {
+            results.push({ path: file.path, status: 'ignored', ignoredPath: ignored });
+            continue;
+        }
+        const existing = await fs.promises.stat(ws.resolvePath(file.path)).catch(() => null);
+        let savedAs = file.path;
+        if (existing && policy === 'skip') {
+            results.push({ path: file.path, status: 'skipped' });
+            continue;
+        }
+        if (existing && policy === 'fail') {
+            conflicts.push(file.path);
+            continue;
+        }
+        if (existing && policy === 'rename') savedAs = ws.availablePath(file.path);
+        const replaces = existing && savedAs === file.path;
+        await authorize(ws, user, 'write', savedAs);
+        bytes += file.size - (replaces ? existing.size : 0);
+        if (!replaces) newFiles += 1;
+        imports.push({ source: file.source, path: savedAs, requestedPath: file.path });
+    }
+    if (conflicts.length) {
+        const err = new HttpError(409, 'FILE_EXISTS', `${conflicts.length} file(s) already exist; nothing was written`);
+        err.details = { conflicts };
+        throw err;
+    }
+    await quota.checkBatch(ws, { bytes, files: newFiles });
+    return { results, imports, folders: created };
+};
+
+// Carries out a plan from planBatch; resolves to the results for every file, sorted by path.
+const importBatch = async (ws, { results, imports, folders }, { policy }) => {
+    for (const dirname of folders) await ws.makeDirectory(dirname);
+    for (const file of imports) {
+        // An overwritten file's old content goes to history first.
+        const { created } = await ws.importFile(file.source, file.path, { overwrite: policy === 'overwrite', reason: 'upload' });
+        if (file.path !== file.requestedPath) {
+            results.push({ path: file.requestedPath, status: 'renamed', savedAs: file.path });
+        } else {
+            results.push({ path: file.path, status: created ? 'created' : 'overwritten' });
+        }
+    }
+    return results.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+module.exports = {
+    CONFLICT_POLICIES,
+    CHECKSUM_ALGORITHMS,
+    create,
+    get,
+    parseChecksum,
+    append,
+    dataPath,
+    remove,
+    planBatch,
+    importBatch
+};
@@ -0,0 +1,37 @@
+// lib/watcher.js
+// Watches BASE_DIR recursively for changes made outside the API (shell, editors, git)
+// and emits 'change' with { path, renamed }, debounced per path. `renamed` is set when fs.watch
+// reported a rename in the window, i.e. the path appeared or disappeared rather than changed.
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { BASE_DIR } = require('./workspace');
+
+const DEBOUNCE_MS = 200;
+
+let watcher = null;
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const pending = new Map();
+
+const start = () => {
+    if (watcher) return emitter;
+    watcher = fs.watch(BASE_DIR, { recursive: true }, (eventType, filename) => {
+        if (!filename) return;
+        const relativePath = filename.toString().split(path.sep).join('/');
+        const previous = pending.get(relativePath);
+        if (previous) clearTimeout(previous.timer);
+        const renamed = eventType === 'rename' || Boolean(previous && previous.renamed);
+        const timer = setTimeout(() => {
+            pending.delete(relativePath);
+            emitter.emit('change', { path: relativePath, renamed });
+        }, DEBOUNCE_MS);
+        pending.set(relativePath, { timer, renamed });
+    });
+    watcher.on('error', (err) => console.error('Workspace watcher failed:', err));
+    watcher.unref();
+    return emitter;
+};
+
+module.exports = { start, events: emitter };
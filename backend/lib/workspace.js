@@ -0,0 +1,479 @@
+// lib/workspace.js
+// File operations on workspaces, shared by the Express routes and the MCP tools.
+// Every workspace is a directory below BASE_DIR; `createScope` gives the operations
+// for one of them, taking and returning paths relative to that workspace's root.
+// History, trash, the search index and change events work on "global" paths,
+// relative to BASE_DIR, so they stay unique across workspaces.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const mime = require('mime-types');
+const { HttpError } = require('./errors');
+const { createLock } = require('./lock');
+const history = require('./history');
+const trash = require('./trash');
+const { move } = require('./fsUtils');
+const { FILES_DIR } = require('./config');
+
+const BASE_DIR = FILES_DIR;
+if (!fs.existsSync(BASE_DIR)) {
+    fs.mkdirSync(BASE_DIR, { recursive: true });
+}
+
+// Emits 'change' with { type: 'created' | 'modified' | 'deleted' | 'renamed', path } for
+// every write; 'renamed' also carries the previous path as `oldPath`. Paths are global.
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const isInside = (root, target) => {
+    const relative = path.relative(root, target);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Real path of `target`, following symlinks through its deepest existing ancestor.
+// A dangling symlink is treated as escaping, since writing through it would create its target.
+const realPathOf = (target) => {
+    let current = target;
+    for (;;) {
+        try {
+            const real = fs.realpathSync(current);
+            return path.join(real, path.relative(current, target));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            if (fs.lstatSync(current, { throwIfNoEntry: false })) return null;
+            current = path.dirname(current);
+        }
+    }
+};
+
+// Writes to the same file are serialized so version checks and writes cannot interleave.
+const withFileLock = createLock();
+
+// A file's version is the SHA-256 hash of its content, "sha256:<hex>". Unlike an ETag made
+// from size and mtime, it changes with every change of content, however quick or small.
+const hashOf = (buffer) => `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+
+// Versions already computed, by absolute path, so reads (every GET, Range requests and 304s
+// included) hash a file only once per change. An entry is used only while the file's inode,
+// size, mtime and ctime are unchanged; ctime also catches a restored mtime.
+const VERSION_CACHE_SIZE = 10000;
+const knownVersions = new Map();
+
+const statKey = (stats) => `${stats.ino}:${stats.size}:${stats.mtimeMs}:${stats.ctimeMs}`;
+
+const rememberVersion = (filePath, stats, version) => {
+    knownVersions.delete(filePath);
+    knownVersions.set(filePath, { key: statKey(stats), version });
+    if (knownVersions.size > VERSION_CACHE_SIZE) knownVersions.delete(knownVersions.keys().next().value);
+};
+
+const versionOf = async (filePath) => {
+    const stats = await fs.promises.stat(filePath);
+    const known = knownVersions.get(filePath);
+    if (known && known.key === statKey(stats)) return known.version;
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+    const version = `sha256:${hash.digest('hex')}`;
+    rememberVersion(filePath, stats, version);
+    return version;
+};
+
+// GET /files/<path> sends the version as the ETag ("sha256:<hex>" in quotes); either form matches.
+const matchesVersion = (expected, buffer) => expected.replace(/^W\//, '').replace(/^"(.*)"$/, '$1') === hashOf(buffer);
+
+const checkContent = (content) => {
+    if (typeof content !== 'string' && !Buffer.isBuffer(content)) {
+        throw new HttpError(400, 'INVALID_CONTENT', 'Content must be a string');
+    }
+};
+
+const isSameOrInside = (parent, child) => child === parent || child.startsWith(`${parent}${path.sep}`);
+
+const toPosix = (p) => p.split(path.sep).join('/');
+
+// Path relative to BASE_DIR, the key for history, trash and the search index.
+const globalPathOf = (absolutePath) => toPosix(path.relative(BASE_DIR, absolutePath));
+
+/**
+ * The file operations for the workspace `id` rooted at `dir` (relative to BASE_DIR,
+ * created if missing). An empty `dir` is the whole of BASE_DIR, used by local tools.
+ * `checkWrite(scope, { path, size, previousSize })`, if given, runs before content is
+ * written and can reject the write by throwing (e.g. storage quotas). `checkBatch(scope,
+ * { bytes, files })` does the same for operations writing many files at once (copies), with
+ * the bytes added net of the files replaced and the number of new files.
+ */
+const createScope = ({ id = null, dir = '', checkWrite = null, checkBatch = null } = {}) => {
+    const root = path.join(BASE_DIR, dir);
+    fs.mkdirSync(root, { recursive: true });
+    const realRoot = fs.realpathSync(root);
+
+    // The single entry point from client-supplied paths to the filesystem: every route,
+    // the upload storage and the MCP tools resolve through here so nothing escapes the workspace.
+    const resolvePath = (filename) => {
+        if (typeof filename !== 'string') {
+            throw new HttpError(400, 'INVALID_PATH', 'A path is required');
+        }
+        if (filename.includes('\0')) {
+            throw new HttpError(400, 'INVALID_PATH', 'Path must not contain NUL bytes');
+        }
+        if (path.isAbsolute(filename) || path.win32.isAbsolute(filename)) {
+            throw new HttpError(403, 'PATH_OUTSIDE_WORKSPACE', 'Absolute paths are not allowed');
+        }
+        const resolved = path.resolve(root, filename);
+        if (!isInside(root, resolved)) {
+            throw new HttpError(403, 'PATH_OUTSIDE_WORKSPACE', 'Path escapes the workspace');
+        }
+        const real = realPathOf(resolved);
+        if (!real || !isInside(realRoot, real)) {
+            throw new HttpError(403, 'PATH_OUTSIDE_WORKSPACE', 'Path resolves outside the workspace through a symlink');
+        }
+        return resolved;
+    };
+
+    // Workspace-relative path with forward slashes, as exposed to clients.
+    const relativePath = (absolutePath) => toPosix(path.relative(root, absolutePath));
+
+    // Global path of a workspace-relative one, and back; null if it is not in this workspace.
+    const globalPath = (filename) => [dir, filename].filter(Boolean).join('/');
+
+    const fromGlobal = (global) => {
+        if (!dir) return global;
+        if (global === dir) return '';
+        return global.startsWith(`${dir}/`) ? global.slice(dir.length + 1) : null;
+    };
+
+    const notifyChange = (type, filename, oldFilename) => {
+        const change = { type, path: globalPath(relativePath(resolvePath(filename))) };
+        if (oldFilename !== undefined) change.oldPath = globalPath(relativePath(resolvePath(oldFilename)));
+        events.emit('change', change);
+    };
+
+    // `existing` is the stats of the file being replaced, or null.
+    const checkSize = (filename, content, existing) => checkWrite && checkWrite(scope, {
+        path: filename,
+        size: Buffer.byteLength(content),
+        previousSize: existing ? existing.size : null
+    });
+
+    // Saves the current content of an existing file to its version history before it is replaced.
+    const snapshotFile = (filename, reason) => {
+        const filePath = resolvePath(filename);
+        return history.record(globalPathOf(filePath), filePath, reason);
+    };
+
+    // Fails with EEXIST unless `overwrite` is set; missing parent directories are created.
+    // `reason` is what the version history records when an existing file is overwritten.
+    const createFile = async (filename, content, { overwrite = false, reason = 'overwrite' } = {}) => {
+        const filePath = resolvePath(filename);
+        checkContent(content);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        return withFileLock(filePath, async () => {
+            const existing = await fs.promises.stat(filePath).catch(() => null);
+            // Without overwrite an existing file fails below with EEXIST, whatever its size.
+            if (!existing || overwrite) await checkSize(filename, content, existing);
+            let created = true;
+            try {
+                await fs.promises.writeFile(filePath, content, { flag: 'wx' });
+            } catch (err) {
+                if (err.code !== 'EEXIST' || !overwrite) throw err;
+                await snapshotFile(filename, reason);
+                await fs.promises.writeFile(filePath, content);
+                created = false;
+            }
+            const version = hashOf(Buffer.from(content));
+            rememberVersion(filePath, await fs.promises.stat(filePath), version);
+            notifyChange(created ? 'created' : 'modified', filename);
+            return { created, version };
+        });
+    };
+
+    /**
+     * Replaces the content of an existing file; fails with ENOENT if there is none.
+     * `content` may also be a function from the current text to the new text (partial edits).
+     * With `expectedVersion` (the "sha256:<hex>" version or ETag of a previous read) the
+     * write is rejected with 412 if the file changed since, and the error carries the
+     * current version and content so the caller can merge.
+     */
+    const editFile = async (filename, content, { expectedVersion } = {}) => {
+        const filePath = resolvePath(filename);
+        const transform = typeof content === 'function' ? content : null;
+        if (!transform) checkContent(content);
+        return withFileLock(filePath, async () => {
+            const handle = await fs.promises.open(filePath, 'r+');
+            let version;
+            try {
+                const stats = await handle.stat();
+                if (expectedVersion || transform) {
+                    // Read through a separate descriptor so the handle still writes from offset 0.
+                    const current = await fs.promises.readFile(filePath);
+                    if (expectedVersion && !matchesVersion(String(expectedVersion), current)) {
+                        const err = new HttpError(412, 'VERSION_CONFLICT', 'File has changed since it was read');
+                        err.details = { currentVersion: hashOf(current), currentContent: current.toString('utf8') };
+                        throw err;
+                    }
+                    if (transform) content = transform(current.toString('utf8'));
+                }
+                await checkSize(filename, content, stats);
+                await snapshotFile(filename, 'edit');
+                await handle.truncate(0);
+                await handle.writeFile(content);
+                version = hashOf(Buffer.from(content));
+                rememberVersion(filePath, await handle.stat(), version);
+            } finally {
+                await handle.close();
+            }
+            notifyChange('modified', filename);
+            return { version };
+        });
+    };
+
+    // Soft delete: the file moves to the trash, from where it can be restored.
+    const deleteFile = async (filename, { deletedBy } = {}) => {
+        const filePath = resolvePath(filename);
+        const entry = await withFileLock(filePath, async () => {
+            const stats = await fs.promises.lstat(filePath);
+            if (stats.isDirectory()) throw new HttpError(400, 'IS_A_DIRECTORY', `${filename} is a directory`);
+            await snapshotFile(filename, 'delete');
+            return trash.put(globalPathOf(filePath), filePath, { deletedBy });
+        });
+        notifyChange('deleted', filename);
+        return entry;
+    };
+
+    // First of "name.ext", "name (1).ext", "name (2).ext", ... that does not exist yet.
+    const availablePath = (filename) => {
+        const { dir, name, ext } = path.posix.parse(filename);
+        let candidate = filename;
+        for (let n = 1; fs.existsSync(resolvePath(candidate)); n++) {
+            candidate = path.posix.join(dir, `${name} (${n})${ext}`);
+        }
+        return candidate;
+    };
+
+    /**
+     * Moves a file or directory from outside the workspace (e.g. the trash) to `filename`.
+     * Whatever exists there is replaced only with `overwrite`, after its files are saved to
+     * history under `reason`; only a directory can replace a directory.
+     */
+    const importFile = async (sourcePath, filename, { overwrite = false, reason = 'overwrite' } = {}) => {
+        const filePath = resolvePath(filename);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        return withFileLock(filePath, async () => {
+            const source = await fs.promises.lstat(sourcePath);
+            const existing = await fs.promises.lstat(filePath).catch(() => null);
+            const created = !existing;
+            if (existing) {
+                if (!overwrite) throw new HttpError(409, 'FILE_EXISTS', `${filename} already exists`);
+                if (existing.isDirectory() && !source.isDirectory()) {
+                    throw new HttpError(409, 'FILE_EXISTS', `${filename} exists and is a directory`);
+                }
+                if (existing.isDirectory()) {
+                    for await (const file of walkFiles(filename)) await snapshotFile(file, reason);
+                } else if (existing.isFile()) {
+                    await snapshotFile(filename, reason);
+                }
+                // rename() replaces a file with a file, but nothing else.
+                if (existing.isDirectory() || source.isDirectory()) await fs.promises.rm(filePath, { recursive: true, force: true });
+            }
+            await move(sourcePath, filePath);
+            notifyChange(created ? 'created' : 'modified', filename);
+            return { created, version: source.isFile() ? await versionOf(filePath) : null };
+        });
+    };
+
+    // mkdir -p; resolves to whether the directory had to be created.
+    const makeDirectory = async (dirname) => {
+        const dirPath = resolvePath(dirname);
+        const stats = await fs.promises.stat(dirPath).catch(() => null);
+        if (stats) {
+            if (!stats.isDirectory()) throw new HttpError(409, 'FILE_EXISTS', `${dirname} exists and is not a directory`);
+            return { created: false };
+        }
+        await fs.promises.mkdir(dirPath, { recursive: true });
+        notifyChange('created', dirname);
+        return { created: true };
+    };
+
+    const requireExisting = async (filePath, filename) => {
+        const stats = await fs.promises.lstat(filePath).catch(() => null);
+        if (!stats) throw new HttpError(404, 'FILE_NOT_FOUND', `${filename} does not exist`);
+        return stats;
+    };
+
+    /**
+     * Renames or moves a file or directory. An existing file at `to` is replaced only with
+     * `overwrite` (and saved to history first); an existing directory is never replaced.
+     */
+    const movePath = async (from, to, { overwrite = false } = {}) => {
+        const fromPath = resolvePath(from);
+        const toPath = resolvePath(to);
+        if (fromPath === root || isSameOrInside(fromPath, toPath)) {
+            throw new HttpError(400, 'INVALID_MOVE', `Cannot move ${from} into itself`);
+        }
+        // Locks are always taken in the same order so opposite moves cannot deadlock.
+        const [first, second] = [fromPath, toPath].sort();
+        return withFileLock(first, () => withFileLock(second, async () => {
+            const source = await requireExisting(fromPath, from);
+            const target = await fs.promises.lstat(toPath).catch(() => null);
+            if (target) {
+                if (!overwrite || target.isDirectory() || source.isDirectory()) {
+                    throw new HttpError(409, 'FILE_EXISTS', `${to} already exists`);
+                }
+                await snapshotFile(to, 'overwrite');
+            }
+            await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+            await move(fromPath, toPath);
+            notifyChange('renamed', to, from);
+            return { path: relativePath(toPath) };
+        }));
+    };
+
+    /**
+     * Copies a file or directory tree. `onConflict` decides what happens to files that
+     * already exist at the destination: "fail" (409 before anything is copied, listing
+     * them), "skip" or "overwrite" (the replaced file goes to history).
+     */
+    const copyPath = async (from, to, { onConflict = 'fail' } = {}) => {
+        const fromPath = resolvePath(from);
+        const toPath = resolvePath(to);
+        if (isSameOrInside(fromPath, toPath)) {
+            throw new HttpError(400, 'INVALID_COPY', `Cannot copy ${from} into itself`);
+        }
+        await requireExisting(fromPath, from);
+
+        // Pairs of workspace-relative paths to copy; symlinks are not followed.
+        const plan = [];
+        const collect = async (source, target) => {
+            const stats = await fs.promises.lstat(resolvePath(source));
+            if (stats.isDirectory()) {
+                plan.push({ source, target, directory: true });
+                for (const name of await fs.promises.readdir(resolvePath(source))) {
+                    await collect(`${source}/${name}`, `${target}/${name}`);
+                }
+            } else if (stats.isFile()) {
+                const existing = await fs.promises.stat(resolvePath(target)).catch(() => null);
+                plan.push({ source, target, directory: false, size: stats.size, exists: Boolean(existing), previousSize: existing ? existing.size : 0 });
+            }
+        };
+        await collect(relativePath(fromPath), relativePath(toPath));
+
+        const conflicts = plan.filter((item) => item.exists).map((item) => item.target);
+        if (conflicts.length && onConflict === 'fail') {
+            const err = new HttpError(409, 'FILE_EXISTS', `${conflicts.length} file(s) already exist at the destination`);
+            err.details = { conflicts };
+            throw err;
+        }
+        if (checkBatch) {
+            const written = plan.filter((item) => !item.directory && !(item.exists && onConflict === 'skip'));
+            await checkBatch(scope, {
+                bytes: written.reduce((total, item) => total + item.size - item.previousSize, 0),
+                files: written.filter((item) => !item.exists).length
+            });
+        }
+
+        const copied = [];
+        const skipped = [];
+        for (const item of plan) {
+            const targetPath = resolvePath(item.target);
+            if (item.directory) {
+                await fs.promises.mkdir(targetPath, { recursive: true });
+            } else if (item.exists && onConflict === 'skip') {
+                skipped.push(item.target);
+            } else {
+                await withFileLock(targetPath, async () => {
+                    if (item.exists) await snapshotFile(item.target, 'overwrite');
+                    await fs.promises.copyFile(resolvePath(item.source), targetPath);
+                });
+                notifyChange(item.exists ? 'modified' : 'created', item.target);
+                copied.push(item.target);
+            }
+        }
+        return { copied, skipped };
+    };
+
+    // Directories are soft deleted like files. Non-empty ones need `recursive`.
+    const deleteDirectory = async (dirname, { recursive = false, deletedBy } = {}) => {
+        const dirPath = resolvePath(dirname);
+        if (dirPath === root) throw new HttpError(400, 'INVALID_PATH', 'Cannot delete the workspace root');
+        const entry = await withFileLock(dirPath, async () => {
+            const stats = await requireExisting(dirPath, dirname);
+            if (!stats.isDirectory()) throw new HttpError(400, 'NOT_A_DIRECTORY', `${dirname} is not a directory`);
+            if (!recursive && (await fs.promises.readdir(dirPath)).length) {
+                throw new HttpError(409, 'DIRECTORY_NOT_EMPTY', `${dirname} is not empty`);
+            }
+            return trash.put(globalPathOf(dirPath), dirPath, { deletedBy });
+        });
+        notifyChange('deleted', dirname);
+        return entry;
+    };
+
+    const readFile = (filename) => fs.promises.readFile(resolvePath(filename), 'utf8');
+
+    const listDirectory = async (dirname = '') => {
+        const entries = await fs.promises.readdir(resolvePath(dirname), { withFileTypes: true });
+        return entries.map((entry) => ({
+            name: entry.name,
+            type: entry.isDirectory() ? 'directory' : 'file'
+        }));
+    };
+
+    // Yields the workspace-relative path of every file below `dirname`, depth first.
+    async function* walkFiles(dirname = '') {
+        const entries = await fs.promises.readdir(resolvePath(dirname), { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const child = dirname ? `${dirname}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                yield* walkFiles(child);
+            } else if (entry.isFile()) {
+                yield child;
+            }
+        }
+    }
+
+    const scope = {
+        id,
+        root,
+        resolvePath,
+        relativePath,
+        globalPath,
+        fromGlobal,
+        notifyChange,
+        snapshotFile,
+        createFile,
+        editFile,
+        deleteFile,
+        availablePath,
+        importFile,
+        makeDirectory,
+        movePath,
+        copyPath,
+        deleteDirectory,
+        readFile,
+        listDirectory,
+        walkFiles
+    };
+    return scope;
+};
+
+// Every workspace at once; for the search index, the change feed and the stdio server.
+const rootScope = createScope();
+
+// MIME type from the file extension, or null when it is unknown.
+const mimeTypeFor = (filename) => mime.lookup(filename) || null;
+
+// Same heuristic as git: a NUL byte in the first 8 KB means binary.
+const isBinary = (buffer) => buffer.subarray(0, 8000).includes(0);
+
+module.exports = {
+    BASE_DIR,
+    events,
+    createScope,
+    rootScope,
+    withFileLock,
+    versionOf,
+    hashOf,
+    mimeTypeFor,
+    isBinary
+};
@@ -0,0 +1,251 @@
+// lib/workspaces.js
+// Which workspaces exist and who may use them, kept in <DATA_DIR>/workspaces.json.
+// Every user has a personal workspace "~<username>" at users/<username>; shared
+// workspaces live at shared/<id> and are open to their owner and invited members.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { createLock } = require('./lock');
+const workspace = require('./workspace');
+const auth = require('./auth');
+const quota = require('./quota');
+
+const STORE_FILE = path.join(DATA_DIR, 'workspaces.json');
+const PERSONAL_PREFIX = '~';
+const MAX_NAME_LENGTH = 100;
+
+const withStore = createLock();
+
+let state = null;
+const scopes = new Map();
+
+// Emits "left" with { id, username } when a user loses access to a shared workspace, so
+// sessions and streams still open in it can be closed. username is null if it was deleted.
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const load = async () => {
+    if (state) return state;
+    try {
+        state = JSON.parse(await fs.promises.readFile(STORE_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        state = { workspaces: {}, invites: {} };
+    }
+    return state;
+};
+
+const save = () => withStore('save', async () => {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const tmp = `${STORE_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+    await fs.promises.rename(tmp, STORE_FILE);
+});
+
+const personalId = (username) => `${PERSONAL_PREFIX}${username}`;
+
+const personal = (username) => ({
+    id: personalId(username),
+    name: username,
+    kind: 'personal',
+    owner: username,
+    members: [username],
+    dir: `users/${username}`
+});
+
+const notFound = (id) => new HttpError(404, 'WORKSPACE_NOT_FOUND', `No such workspace: ${id}`);
+
+// The workspace record, if `username` may use it. Others' workspaces look like they do not exist.
+const find = async (id, username) => {
+    if (id === personalId(username)) return personal(username);
+    const record = (await load()).workspaces[id];
+    if (!record || !record.members.includes(username)) throw notFound(id);
+    return record;
+};
+
+// The file operations for a workspace record, created on first use. Writes count against its quota.
+const scopeOf = (record) => {
+    if (!scopes.has(record.id)) {
+        scopes.set(record.id, workspace.createScope({
+            id: record.id,
+            dir: record.dir,
+            checkWrite: quota.checkWrite,
+            checkBatch: quota.checkBatch
+        }));
+    }
+    return scopes.get(record.id);
+};
+
+const publicWorkspace = ({ id, name, kind, owner, members, createdAt }) => ({ id, name, kind, owner, members, createdAt });
+
+const list = async (username) => {
+    const shared = Object.values((await load()).workspaces).filter((record) => record.members.includes(username));
+    return [personal(username), ...shared].map(publicWorkspace);
+};
+
+const checkName = (name) => {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        throw new HttpError(400, 'INVALID_NAME', `Workspace name must be 1 to ${MAX_NAME_LENGTH} characters`);
+    }
+};
+
+const create = async (name, { owner }) => {
+    checkName(name);
+    const store = await load();
+    const id = crypto.randomBytes(6).toString('hex');
+    const record = {
+        id,
+        name: name.trim(),
+        kind: 'shared',
+        owner,
+        members: [owner],
+        dir: `shared/${id}`,
+        createdAt: new Date().toISOString()
+    };
+    store.workspaces[id] = record;
+    await save();
+    scopeOf(record);
+    return publicWorkspace(record);
+};
+
+const requireOwner = (record, username) => {
+    if (record.owner !== username) {
+        throw new HttpError(403, 'NOT_WORKSPACE_OWNER', `Only ${record.owner} can manage ${record.name}`);
+    }
+    if (record.kind === 'personal') {
+        throw new HttpError(400, 'PERSONAL_WORKSPACE', 'Personal workspaces cannot be shared or deleted');
+    }
+};
+
+const rename = async (id, name, { username }) => {
+    const record = await find(id, username);
+    requireOwner(record, username);
+    checkName(name);
+    record.name = name.trim();
+    await save();
+    return publicWorkspace(record);
+};
+
+// Only empty workspaces can be deleted, so nobody loses files they did not know about.
+const remove = async (id, { username }) => {
+    const record = await find(id, username);
+    requireOwner(record, username);
+    const root = scopeOf(record).root;
+    if ((await fs.promises.readdir(root).catch(() => [])).length) {
+        throw new HttpError(409, 'WORKSPACE_NOT_EMPTY', `${record.name} still contains files`);
+    }
+    await fs.promises.rm(root, { recursive: true, force: true });
+    delete state.workspaces[id];
+    Object.keys(state.invites).forEach((inviteId) => {
+        if (state.invites[inviteId].workspace === id) delete state.invites[inviteId];
+    });
+    scopes.delete(id);
+    await save();
+    events.emit('left', { id, username: null });
+};
+
+const invite = async (id, invitee, { username }) => {
+    const record = await find(id, username);
+    requireOwner(record, username);
+    if (typeof invitee !== 'string' || !invitee) throw new HttpError(400, 'INVALID_REQUEST', 'username is required');
+    if (!(await auth.listUsers()).some((user) => user.username === invitee)) {
+        throw new HttpError(404, 'USER_NOT_FOUND', `No such user: ${invitee}`);
+    }
+    if (record.members.includes(invitee)) {
+        throw new HttpError(409, 'ALREADY_MEMBER', `${invitee} is already a member of ${record.name}`);
+    }
+    const pending = Object.values(state.invites).find((i) => i.workspace === id && i.username === invitee);
+    if (pending) return pending;
+    const entry = {
+        id: crypto.randomUUID(),
+        workspace: id,
+        workspaceName: record.name,
+        username: invitee,
+        invitedBy: username,
+        createdAt: new Date().toISOString()
+    };
+    state.invites[entry.id] = entry;
+    await save();
+    return entry;
+};
+
+const invitesFor = async (username) => Object.values((await load()).invites).filter((i) => i.username === username);
+
+const findInvite = async (inviteId) => {
+    const entry = (await load()).invites[inviteId];
+    if (!entry) throw new HttpError(404, 'INVITE_NOT_FOUND', `No such invite: ${inviteId}`);
+    return entry;
+};
+
+const acceptInvite = async (inviteId, { username }) => {
+    const entry = await findInvite(inviteId);
+    if (entry.username !== username) throw new HttpError(404, 'INVITE_NOT_FOUND', `No such invite: ${inviteId}`);
+    const record = state.workspaces[entry.workspace];
+    if (!record.members.includes(username)) record.members.push(username);
+    delete state.invites[inviteId];
+    await save();
+    return publicWorkspace(record);
+};
+
+// The invitee declines, or the owner withdraws the invite.
+const cancelInvite = async (inviteId, { username }) => {
+    const entry = await findInvite(inviteId);
+    const record = state.workspaces[entry.workspace];
+    if (entry.username !== username && record.owner !== username) {
+        throw new HttpError(404, 'INVITE_NOT_FOUND', `No such invite: ${inviteId}`);
+    }
+    delete state.invites[inviteId];
+    await save();
+};
+
+// The owner removes a member, or a member leaves. The owner cannot leave their own workspace.
+const removeMember = async (id, member, { username }) => {
+    const record = await find(id, username);
+    if (member !== username) requireOwner(record, username);
+    if (member === record.owner) {
+        throw new HttpError(409, 'OWNER_CANNOT_LEAVE', 'The owner cannot leave; delete the workspace instead');
+    }
+    if (!record.members.includes(member)) {
+        throw new HttpError(404, 'MEMBER_NOT_FOUND', `${member} is not a member of ${record.name}`);
+    }
+    record.members = record.members.filter((m) => m !== member);
+    await save();
+    events.emit('left', { id, username: member });
+};
+
+const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+/**
+ * Express middleware: sets req.workspace to the file operations of the workspace named by
+ * the X-Workspace-Id header (or ?workspace=, for EventSource), by default the caller's own.
+ */
+const selectWorkspace = async (req, res, next) => {
+    const id = req.get(WORKSPACE_HEADER) || req.query.workspace || personalId(req.user.username);
+    try {
+        req.workspace = scopeOf(await find(id, req.user.username));
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    WORKSPACE_HEADER,
+    events,
+    personalId,
+    find,
+    scopeOf,
+    list,
+    create,
+    rename,
+    remove,
+    invite,
+    invitesFor,
+    acceptInvite,
+    cancelInvite,
+    removeMember,
+    selectWorkspace
+};
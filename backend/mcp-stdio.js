@@ -0,0 +1,40 @@
+// mcp-stdio.js
+// MCP server over stdio: newline-delimited JSON-RPC on stdin/stdout.
+// stdout is reserved for protocol messages, so logs go to stderr.
+const readline = require('readline');
+const { PARSE_ERROR, INTERNAL_ERROR, failure, createMcpSession } = require('./lib/mcp');
+
+const send = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+const session = createMcpSession({ send });
+
+const rl = readline.createInterface({ input: process.stdin });
+
+// Messages are handled one at a time, in arrival order. A message that fails outside the
+// dispatcher's own error handling gets an internal error, and the queue carries on.
+let queue = Promise.resolve();
+
+rl.on('line', (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+        message = JSON.parse(line);
+    } catch (err) {
+        send(failure(null, PARSE_ERROR, 'Parse error'));
+        return;
+    }
+    queue = queue
+        .then(() => session.handle(message))
+        .then((response) => {
+            if (response) send(response);
+        })
+        .catch((err) => {
+            console.error('Handling a message failed:', err);
+            const single = message !== null && typeof message === 'object' && !Array.isArray(message);
+            // Notifications never get a response, not even an error.
+            if (single && message.id === undefined) return;
+            send(failure(single ? message.id : null, INTERNAL_ERROR, 'Internal error'));
+        });
+});
+
+console.error('✅ MCP stdio server ready');
@@ -0,0 +1,13 @@
+// rebuild-index.js
+// Rebuilds the search index from scratch. Run it while the server is stopped; a running
+// server rebuilds through POST /search/index/rebuild instead.
+const searchIndex = require('./lib/searchIndex');
+
+searchIndex.rebuild()
+    .then(() => {
+        console.log('✅ Search index rebuilt', searchIndex.stats());
+    })
+    .catch((err) => {
+        console.error('❌ Rebuilding the search index failed:', err);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,82 @@
+// routes/admin.js
+// User roles and path rules, for admins only. Rules look like
+//   { "path": "/vendor/**", "effect": "deny", "actions": ["write", "delete"], "roles": ["viewer", "editor"] }
+// and apply to everyone, in every workspace, unless narrowed to `users`, `roles` and/or a `workspace`.
+const express = require('express');
+const acl = require('../lib/acl');
+const auth = require('../lib/auth');
+const workspaces = require('../lib/workspaces');
+const { HttpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.use(express.json());
+router.use(acl.requireRole('admin'));
+
+router.get('/users', async (req, res) => {
+    try {
+        res.json({ users: await auth.listUsers() });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.put('/users/:username/role', async (req, res) => {
+    try {
+        res.json(await auth.setRole(req.params.username, req.body.role));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.get('/rules', async (req, res) => {
+    try {
+        res.json({ rules: await acl.listRules() });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.post('/rules', async (req, res) => {
+    try {
+        res.status(201).json(await acl.addRule(req.body, { createdBy: req.user.username }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.put('/rules/:id', async (req, res) => {
+    try {
+        res.json(await acl.updateRule(req.params.id, req.body));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/rules/:id', async (req, res) => {
+    try {
+        await acl.deleteRule(req.params.id);
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// ?username=&path=&action=&workspace= — explains which rule decides, for debugging grants.
+// The workspace defaults to the user's personal one.
+router.get('/check', async (req, res) => {
+    const { username, path: filename = '', action, workspace } = req.query;
+    try {
+        if (!acl.ACTIONS.includes(action)) {
+            throw new HttpError(400, 'INVALID_QUERY', `action must be one of: ${acl.ACTIONS.join(', ')}`);
+        }
+        const user = (await auth.listUsers()).find((u) => u.username === username);
+        if (!user) throw new HttpError(404, 'USER_NOT_FOUND', `No such user: ${username}`);
+        const ws = workspaces.scopeOf(await workspaces.find(workspace || workspaces.personalId(username), username));
+        res.json(await acl.check(ws, user, action, filename));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+// routes/archive.js
+// Folders and sets of files as one archive, both ways:
+//   GET  /archive?path=docs&path=notes.txt&format=zip|tar.gz
+//        Without a path the whole workspace is archived. Entries are named relative to the
+//        common parent of the selected paths. Files the caller cannot read are left out. The
+//        archive is streamed as it is built; zip archives are limited to 4 GB and 65535 entries.
+//   POST /archive?path=<folder>&onConflict=   multipart field "archive": a .zip or .tar.gz
+//        Extracted into the folder (the workspace root by default) like an /upload of its
+//        files, with the same conflict policies, ignore rules and per-file results. Unsafe or
+//        oversized archives are refused as a whole (see lib/extract.js).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const archive = require('../lib/archive');
+const quota = require('../lib/quota');
+const { extract } = require('../lib/extract');
+const { CONFLICT_POLICIES, planBatch, importBatch } = require('../lib/uploads');
+const { DATA_DIR, MAX_EXTRACT_MB, MAX_EXTRACT_RATIO } = require('../lib/config');
+const { authorize, readFilter } = require('../lib/acl');
+const { HttpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Uploaded archives and their contents wait here until everything in them has been checked.
+const STAGING_DIR = path.join(DATA_DIR, 'extract');
+
+router.get('/', async (req, res) => {
+    try {
+        const format = req.query.format || 'zip';
+        if (!archive.FORMATS[format]) {
+            throw new HttpError(400, 'INVALID_REQUEST', `format must be one of: ${Object.keys(archive.FORMATS).join(', ')}`);
+        }
+        const paths = [].concat(req.query.path ?? '');
+        for (const filename of paths) await authorize(req.workspace, req.user, 'read', filename);
+        const { name, entries } = await archive.collect(req.workspace, paths, {
+            canRead: await readFilter(req.workspace, req.user)
+        });
+        const stream = archive.createArchive(format, entries);
+        res.attachment(`${name}.${archive.FORMATS[format].extension}`);
+        res.type(archive.FORMATS[format].type);
+        // Once streaming has started an error can only cut the download short.
+        stream.on('error', (err) => {
+            console.error('Archive failed:', err);
+            res.destroy(err);
+        });
+        res.on('close', () => stream.destroy());
+        stream.pipe(res);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Receives the "archive" field into `dir`; it may be no larger than a single uploaded file.
+const receiveArchive = async (req, res, dir) => {
+    const { fileSize } = await quota.checkUpload(req.workspace, { contentLength: Number(req.get('Content-Length')) || 0 });
+    const upload = multer({
+        storage: multer.diskStorage({ destination: dir, filename: (req, file, cb) => cb(null, 'archive') }),
+        limits: { fileSize, files: 1 }
+    });
+    await new Promise((resolve, reject) => {
+        upload.single('archive')(req, res, (err) => {
+            if (!err) resolve();
+            else quota.uploadError(req.workspace, err, { fileSize }).then(reject, reject);
+        });
+    });
+    if (!req.file) throw new HttpError(400, 'INVALID_REQUEST', 'Send the archive as the multipart field "archive"');
+    return req.file.path;
+};
+
+router.post('/', async (req, res) => {
+    const staging = path.join(STAGING_DIR, crypto.randomBytes(16).toString('hex'));
+    try {
+        const ws = req.workspace;
+        const policy = req.query.onConflict || 'overwrite';
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            throw new HttpError(400, 'INVALID_REQUEST', `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+        }
+        const target = ws.relativePath(ws.resolvePath(req.query.path || ''));
+        await authorize(ws, req.user, 'write', target);
+        await fs.promises.mkdir(staging, { recursive: true });
+        const archivePath = await receiveArchive(req, res, staging);
+        const stagedDir = path.join(staging, 'files');
+        const entries = await extract(archivePath, stagedDir, {
+            maxBytes: Math.floor(MAX_EXTRACT_MB * 1024 * 1024),
+            maxFiles: quota.limits.maxFilesPerUpload,
+            maxFileSize: quota.limits.maxFileSize,
+            maxRatio: MAX_EXTRACT_RATIO
+        });
+        const inTarget = (name) => ws.relativePath(ws.resolvePath(target ? `${target}/${name}` : name));
+        const files = entries.filter((entry) => !entry.directory).map((entry) => ({
+            path: inTarget(entry.name),
+            source: path.join(stagedDir, entry.name),
+            size: entry.size
+        }));
+        const folders = entries.filter((entry) => entry.directory).map((entry) => inTarget(entry.name));
+        const plan = await planBatch(ws, req.user, files, { policy, folders });
+        const results = await importBatch(ws, plan, { policy });
+        res.json({
+            message: `Extracted ${plan.imports.length} file(s), left out ${results.length - plan.imports.length}.`,
+            results
+        });
+    } catch (err) {
+        sendError(res, err);
+    } finally {
+        await fs.promises.rm(staging, { recursive: true, force: true });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// routes/auth.js
+// Login sessions for the web app and personal API tokens for scripts and agents.
+// Everything except POST /login needs an authenticated caller.
+const express = require('express');
+const auth = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.use(express.json());
+
+router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        res.json(await auth.login(username, password));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.use(auth.requireAuth);
+
+router.post('/logout', async (req, res) => {
+    try {
+        if (req.auth.kind === 'session') await auth.logout(req.auth.token);
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.get('/me', (req, res) => {
+    res.json({ user: req.user, via: req.auth.kind });
+});
+
+// A single-use ticket for one GET request that cannot carry the Authorization header
+// (EventSource, download links): pass it as ?ticket= within a minute.
+router.post('/tickets', (req, res) => {
+    res.status(201).json(auth.createTicket(req.auth.token));
+});
+
+router.get('/tokens', async (req, res) => {
+    try {
+        res.json({ tokens: await auth.listTokens(req.user.username) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// The token itself is only in this response; the server keeps nothing but its hash.
+router.post('/tokens', async (req, res) => {
+    const { name, expiresInDays } = req.body || {};
+    try {
+        res.status(201).json(await auth.createToken(req.user.username, { name, expiresInDays }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/tokens/:id', async (req, res) => {
+    try {
+        await auth.revokeToken(req.user.username, req.params.id);
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
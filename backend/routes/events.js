@@ -0,0 +1,62 @@
+// routes/events.js
+// Server-Sent Events stream of workspace changes (created, modified, deleted, renamed).
+// Only changes in the selected workspace are sent, with workspace-relative paths.
+// Query: path (only changes at or below it) and include (globs). Reconnecting clients
+// send Last-Event-ID (EventSource does this itself) and get the changes they missed, or
+// a "reset" event if too many happened in between. The stream ends when the user is
+// removed from the workspace or it is deleted.
+const express = require('express');
+const changeFeed = require('../lib/changeFeed');
+const workspaces = require('../lib/workspaces');
+const { openEventStream } = require('../lib/sse');
+const { compileGlobs } = require('../lib/query');
+const { authorize, readFilter } = require('../lib/acl');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+    let prefix;
+    let include;
+    let canRead;
+    try {
+        prefix = req.query.path ? req.workspace.relativePath(req.workspace.resolvePath(req.query.path)) : '';
+        include = compileGlobs(req.query.include);
+        await authorize(req.workspace, req.user, 'read', prefix);
+        canRead = await readFilter(req.workspace, req.user);
+    } catch (err) {
+        return sendError(res, err);
+    }
+    const matchesPath = (p) => typeof p === 'string'
+        && (!prefix || p === prefix || p.startsWith(`${prefix}/`))
+        && (!include || include(p))
+        && canRead(p);
+    const wanted = (event) => matchesPath(event.path) || matchesPath(event.oldPath);
+
+    const stream = openEventStream(req, res);
+    const send = (event) => {
+        // The feed carries global paths; keep this workspace's changes and make them relative to it.
+        const local = { ...event, path: req.workspace.fromGlobal(event.path) };
+        if (event.oldPath !== undefined) local.oldPath = req.workspace.fromGlobal(event.oldPath);
+        if (wanted(local)) stream.send(local, { event: 'change', id: event.id });
+    };
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId !== undefined) {
+        const missed = changeFeed.eventsSince(lastEventId);
+        if (missed) missed.forEach(send);
+        else stream.send({ reason: 'Missed events are no longer available; re-list the workspace' }, { event: 'reset' });
+    }
+
+    const onLeft = ({ id, username }) => {
+        if (id === req.workspace.id && (!username || username === req.user.username)) stream.close();
+    };
+    changeFeed.events.on('event', send);
+    workspaces.events.on('left', onLeft);
+    req.on('close', () => {
+        changeFeed.events.off('event', send);
+        workspaces.events.off('left', onLeft);
+    });
+});
+
+module.exports = router;
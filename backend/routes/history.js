@@ -0,0 +1,93 @@
+// routes/history.js
+// Version history of workspace files: list, fetch, diff and restore.
+// Every route takes the file as ?path= (or `path` in the body for restore), relative to
+// the selected workspace; history itself is keyed by global path.
+const fs = require('fs');
+const express = require('express');
+const { createTwoFilesPatch } = require('diff');
+const history = require('../lib/history');
+const { isBinary, mimeTypeFor } = require('../lib/workspace');
+const { authorize } = require('../lib/acl');
+const { HttpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Normalized workspace-relative path; also rejects paths outside the workspace.
+const filePathParam = (ws, value) => ws.relativePath(ws.resolvePath(value));
+
+// `id` is a version number, or "current" for the file as it is now.
+const contentOf = async (ws, relativePath, id) => {
+    if (id !== 'current') return history.readVersion(ws.globalPath(relativePath), id);
+    try {
+        return await fs.promises.readFile(ws.resolvePath(relativePath));
+    } catch (err) {
+        if (err.code === 'ENOENT') throw new HttpError(404, 'FILE_NOT_FOUND', `${relativePath} does not exist`);
+        throw err;
+    }
+};
+
+router.get('/', async (req, res) => {
+    try {
+        const relativePath = filePathParam(req.workspace, req.query.path);
+        await authorize(req.workspace, req.user, 'read', relativePath);
+        res.json({ path: relativePath, versions: await history.listVersions(req.workspace.globalPath(relativePath)) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// ?path=&from=<id>&to=<id|current>; `to` defaults to the current file.
+router.get('/diff', async (req, res) => {
+    const { from, to = 'current' } = req.query;
+    try {
+        const relativePath = filePathParam(req.workspace, req.query.path);
+        await authorize(req.workspace, req.user, 'read', relativePath);
+        if (!from) throw new HttpError(400, 'INVALID_QUERY', 'from is required');
+        const [before, after] = await Promise.all([
+            contentOf(req.workspace, relativePath, from),
+            contentOf(req.workspace, relativePath, to)
+        ]);
+        if (isBinary(before) || isBinary(after)) {
+            throw new HttpError(400, 'BINARY_FILE', 'Cannot diff binary content');
+        }
+        const patch = createTwoFilesPatch(
+            `${relativePath}@${from}`,
+            `${relativePath}@${to}`,
+            before.toString('utf8'),
+            after.toString('utf8')
+        );
+        res.type('text/x-diff').send(patch);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const relativePath = filePathParam(req.workspace, req.query.path);
+        await authorize(req.workspace, req.user, 'read', relativePath);
+        const versionFile = await history.versionPath(req.workspace.globalPath(relativePath), req.params.id);
+        res.type(mimeTypeFor(relativePath) || 'application/octet-stream');
+        res.sendFile(versionFile, { dotfiles: 'allow' }, (err) => {
+            if (err && !res.headersSent) sendError(res, err);
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Writes version `id` back to `path`; the content it replaces becomes a new version itself.
+router.post('/restore', async (req, res) => {
+    const { path: filename, id } = req.body;
+    try {
+        const relativePath = filePathParam(req.workspace, filename);
+        await authorize(req.workspace, req.user, 'write', relativePath);
+        const content = await history.readVersion(req.workspace.globalPath(relativePath), id);
+        const { version } = await req.workspace.createFile(relativePath, content, { overwrite: true, reason: 'restore' });
+        res.json({ message: `Restored version ${id} of ${relativePath}`, version });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
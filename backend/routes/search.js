@@ -0,0 +1,54 @@
+// routes/search.js
+// Workspace search and the management of its index.
+const express = require('express');
+const { search } = require('../lib/search');
+const searchIndex = require('../lib/searchIndex');
+const { authorize, readFilter, requireRole } = require('../lib/acl');
+const { HttpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Streams results as newline-delimited JSON: one line per matching file, then a summary line.
+router.get('/', async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    let results;
+    let first;
+    try {
+        await authorize(req.workspace, req.user, 'read', req.query.path);
+        const canRead = await readFilter(req.workspace, req.user);
+        results = search(req.workspace, req.query, { signal: controller.signal, canRead });
+        // Option errors surface on the first step, while a JSON error can still be sent.
+        first = await results.next();
+    } catch (err) {
+        return sendError(res, err);
+    }
+    res.type('application/x-ndjson');
+    try {
+        for (let step = first; !step.done; step = await results.next()) {
+            res.write(`${JSON.stringify(step.value)}\n`);
+        }
+    } catch (err) {
+        res.write(`${JSON.stringify({ type: 'error', error: err.message })}\n`);
+    }
+    res.end();
+});
+
+router.get('/index', (req, res) => {
+    res.json(searchIndex.stats());
+});
+
+// Drops the index and re-reads every file; responds once the new index is in place.
+router.post('/index/rebuild', requireRole('admin'), async (req, res) => {
+    try {
+        if (searchIndex.stats().building) {
+            throw new HttpError(409, 'INDEX_BUSY', 'The index is already being built');
+        }
+        await searchIndex.rebuild();
+        res.json({ message: 'Search index rebuilt', ...searchIndex.stats() });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// routes/trash.js
+// Trash bin for soft-deleted files: list, restore and purge. The trash is shared by all
+// workspaces; these routes only see the selected workspace's entries, with relative paths.
+const express = require('express');
+const trash = require('../lib/trash');
+const quota = require('../lib/quota');
+const { authorize, authorizeTree, readFilter, requireRole } = require('../lib/acl');
+const { HttpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+const CONFLICT_POLICIES = ['fail', 'rename', 'overwrite'];
+
+// The entry as seen from workspace `ws`, or null if it was deleted from another workspace.
+const localEntry = (ws, entry) => {
+    const relativePath = ws.fromGlobal(entry.path);
+    return relativePath === null ? null : { ...entry, path: relativePath };
+};
+
+const getLocal = async (ws, id) => {
+    const { entry, contentPath } = await trash.get(id);
+    const local = localEntry(ws, entry);
+    if (!local) throw new HttpError(404, 'TRASH_ENTRY_NOT_FOUND', `Trash entry ${id} not found`);
+    return { entry: local, contentPath };
+};
+
+router.get('/', async (req, res) => {
+    try {
+        const canRead = await readFilter(req.workspace, req.user);
+        const entries = (await trash.list()).map((entry) => localEntry(req.workspace, entry));
+        res.json({ entries: entries.filter((entry) => entry && canRead(entry.path)) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * Restores entry `id` to its original path, or to `path` if given. If that path has
+ * been reused since, `onConflict` decides: "fail" (409, the default), "rename" (restore
+ * next to it as "name (1).ext") or "overwrite" (the current file goes to history).
+ */
+router.post('/restore', async (req, res) => {
+    const { id, path: targetPath, onConflict = 'fail' } = req.body;
+    try {
+        if (!CONFLICT_POLICIES.includes(onConflict)) {
+            throw new HttpError(400, 'INVALID_REQUEST', `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+        }
+        const { entry, contentPath } = await getLocal(req.workspace, id);
+        let filename = req.workspace.relativePath(req.workspace.resolvePath(targetPath || entry.path));
+        await authorize(req.workspace, req.user, 'read', entry.path);
+        if (onConflict === 'rename') filename = req.workspace.availablePath(filename);
+        // A restored directory brings back everything inside it, and overwriting replaces
+        // everything now at `filename`.
+        await authorizeTree(req.workspace, req.user, 'write', filename, { source: contentPath });
+        if (onConflict === 'overwrite') await authorizeTree(req.workspace, req.user, 'write', filename);
+        // Restored files count against the quota again, net of whatever they replace.
+        const restored = await quota.measurePath(contentPath);
+        const replaced = onConflict === 'overwrite' ? await quota.measurePath(req.workspace.resolvePath(filename)) : { bytes: 0, files: 0 };
+        await quota.checkBatch(req.workspace, { bytes: restored.bytes - replaced.bytes, files: restored.files - replaced.files });
+        try {
+            await req.workspace.importFile(contentPath, filename, { overwrite: onConflict === 'overwrite', reason: 'restore' });
+        } catch (err) {
+            if (err.code === 'FILE_EXISTS') {
+                err.message = `${filename} already exists; restore with onConflict "rename" or "overwrite"`;
+            }
+            throw err;
+        }
+        await trash.purge(entry.id);
+        res.json({ message: `Restored ${filename}`, path: filename });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const { entry } = await getLocal(req.workspace, req.params.id);
+        await authorize(req.workspace, req.user, 'delete', entry.path);
+        await trash.purge(entry.id);
+        res.json({ message: `Purged ${entry.path} from the trash` });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Empties the workspace's trash, whoever's files are in it.
+router.delete('/', requireRole('admin'), async (req, res) => {
+    try {
+        const count = await trash.purgeAll((entry) => localEntry(req.workspace, entry) !== null);
+        res.json({ message: `Purged ${count} item(s) from the trash` });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
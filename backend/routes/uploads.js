@@ -0,0 +1,203 @@
+// routes/uploads.js
+// Resumable uploads following the tus 1.0.0 protocol (https://tus.io/protocols/resumable-upload),
+// with the creation, expiration, checksum and termination extensions:
+//   POST   /uploads       Upload-Length + Upload-Metadata ("filename" is the workspace path,
+//                         optional "onConflict" the conflict policy) -> 201, Location
+//   HEAD   /uploads/:id   -> Upload-Offset, how much the server has
+//   PATCH  /uploads/:id   Upload-Offset + a chunk (application/offset+octet-stream) -> new Upload-Offset
+//   DELETE /uploads/:id   abandons the upload
+// Once the last byte arrives the file is moved into the workspace, like a /upload of it, and
+// the last PATCH reports what happened in Upload-Result (created, overwritten, renamed or
+// skipped) and Upload-Saved-As (the URI-encoded path it was stored at).
+// With onConflict "skip" or "fail" an existing file is refused at creation with 409.
+// Files matched by the upload ignore rules are refused up front.
+// Uploads belong to the user and workspace that created them.
+const fs = require('fs');
+const express = require('express');
+const uploads = require('../lib/uploads');
+const quota = require('../lib/quota');
+const ignore = require('../lib/ignore');
+const { authorize } = require('../lib/acl');
+const { HttpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'expiration', 'checksum', 'termination'];
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+// What tus clients learn from OPTIONS. cors answers OPTIONS itself, so server.js adds these first.
+const discovery = (req, res, next) => {
+    res.set({
+        'Tus-Resumable': TUS_VERSION,
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': TUS_EXTENSIONS.join(','),
+        'Tus-Checksum-Algorithm': uploads.CHECKSUM_ALGORITHMS.join(',')
+    });
+    if (quota.limits.maxFileSize) res.set('Tus-Max-Size', String(quota.limits.maxFileSize));
+    next();
+};
+
+// Upload-Metadata is "key base64value,key base64value"; values may be left out.
+const parseMetadata = (header = '') => Object.fromEntries(header.split(',').filter((pair) => pair.trim()).map((pair) => {
+    const [key, value = ''] = pair.trim().split(' ');
+    return [key, Buffer.from(value, 'base64').toString('utf8')];
+}));
+
+const encodeMetadata = (metadata) => Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(value, 'utf8').toString('base64')}`)
+    .join(',');
+
+// Upload-Length and Upload-Offset are non-negative integers.
+const parseOffset = (value, header) => {
+    if (!/^\d+$/.test(String(value))) throw new HttpError(400, 'INVALID_HEADER', `${header} must be a non-negative integer`);
+    return Number(value);
+};
+
+const uploadHeaders = (upload) => ({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Expires': upload.expiresAt.toUTCString(),
+    'Cache-Control': 'no-store'
+});
+
+// Other users' uploads, and uploads into other workspaces, look like they do not exist.
+const findUpload = async (req) => {
+    const upload = await uploads.get(req.params.id);
+    if (upload.username !== req.user.username || upload.workspace !== req.workspace.id) {
+        throw new HttpError(404, 'UPLOAD_NOT_FOUND', `Upload ${req.params.id} not found`);
+    }
+    return upload;
+};
+
+const policyOf = (metadata) => {
+    const policy = metadata.onConflict || 'overwrite';
+    if (!uploads.CONFLICT_POLICIES.includes(policy)) {
+        throw new HttpError(400, 'INVALID_REQUEST', `onConflict must be one of: ${uploads.CONFLICT_POLICIES.join(', ')}`);
+    }
+    return policy;
+};
+
+/**
+ * Moves a fully received upload into place and resolves to { status, path }. Access, quota
+ * and conflicts are checked again, as they may have changed since the upload started; on
+ * failure the bytes stay for a retry.
+ */
+const complete = async (req, upload) => {
+    const ws = req.workspace;
+    const policy = policyOf(upload.metadata);
+    let target = upload.path;
+    let existing = await fs.promises.stat(ws.resolvePath(target)).catch(() => null);
+    if (existing && policy === 'skip') {
+        await uploads.remove(upload.id);
+        return { status: 'skipped', path: target };
+    }
+    if (existing && policy === 'rename') {
+        target = ws.availablePath(target);
+        existing = null;
+    }
+    await authorize(ws, req.user, 'write', target);
+    await quota.checkWrite(ws, { path: target, size: upload.length, previousSize: existing ? existing.size : null });
+    // "fail" fails here with FILE_EXISTS if the file appeared since the upload started.
+    const { created } = await ws.importFile(uploads.dataPath(upload.id), target, { overwrite: policy === 'overwrite', reason: 'upload' });
+    await uploads.remove(upload.id);
+    let status = created ? 'created' : 'overwritten';
+    if (target !== upload.path) status = 'renamed';
+    return { status, path: target };
+};
+
+const resultHeaders = ({ status, path }) => ({
+    'Upload-Result': status,
+    'Upload-Saved-As': encodeURIComponent(path)
+});
+
+router.use((req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+    if (req.get('Tus-Resumable') !== TUS_VERSION) {
+        res.set('Tus-Version', TUS_VERSION);
+        sendError(res, new HttpError(412, 'TUS_VERSION_UNSUPPORTED', `Tus-Resumable must be ${TUS_VERSION}`));
+        return;
+    }
+    next();
+});
+
+router.post('/', async (req, res) => {
+    try {
+        if (req.get('Upload-Defer-Length')) {
+            throw new HttpError(400, 'INVALID_HEADER', 'Upload-Defer-Length is not supported; send Upload-Length');
+        }
+        const length = parseOffset(req.get('Upload-Length'), 'Upload-Length');
+        const metadata = parseMetadata(req.get('Upload-Metadata'));
+        const policy = policyOf(metadata);
+        const filename = req.workspace.relativePath(req.workspace.resolvePath(metadata.filename));
+        await authorize(req.workspace, req.user, 'write', filename);
+        const ignoredPath = await ignore.forWorkspace(req.workspace)(filename);
+        if (ignoredPath) {
+            const err = new HttpError(400, 'PATH_IGNORED', `${filename} is excluded by the upload ignore rules`);
+            err.details = { ignoredPath };
+            throw err;
+        }
+        const existing = await fs.promises.stat(req.workspace.resolvePath(filename)).catch(() => null);
+        if (existing && (policy === 'skip' || policy === 'fail')) {
+            throw new HttpError(409, 'FILE_EXISTS', `${filename} already exists`);
+        }
+        // A renamed file will be new; an overwritten one replaces the existing size.
+        const previousSize = existing && policy === 'overwrite' ? existing.size : null;
+        await quota.checkWrite(req.workspace, { path: filename, size: length, previousSize });
+        const upload = await uploads.create({
+            username: req.user.username,
+            workspaceId: req.workspace.id,
+            filename,
+            length,
+            metadata
+        });
+        res.status(201).set({ ...uploadHeaders(upload), Location: `${req.baseUrl}/${upload.id}` });
+        // An empty file is complete as soon as it exists.
+        if (length === 0) res.set(resultHeaders(await complete(req, upload)));
+        res.end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.head('/:id', async (req, res) => {
+    try {
+        const upload = await findUpload(req);
+        res.set({
+            ...uploadHeaders(upload),
+            'Upload-Length': String(upload.length),
+            'Upload-Metadata': encodeMetadata(upload.metadata)
+        }).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.patch('/:id', async (req, res) => {
+    try {
+        if (req.get('Content-Type') !== CHUNK_CONTENT_TYPE) {
+            throw new HttpError(415, 'INVALID_CONTENT_TYPE', `Chunks must be sent as ${CHUNK_CONTENT_TYPE}`);
+        }
+        const offset = parseOffset(req.get('Upload-Offset'), 'Upload-Offset');
+        const checksum = req.get('Upload-Checksum') ? uploads.parseChecksum(req.get('Upload-Checksum')) : null;
+        await findUpload(req);
+        const upload = await uploads.append(req.params.id, req, { offset, checksum });
+        res.status(204).set(uploadHeaders(upload));
+        if (upload.offset === upload.length) res.set(resultHeaders(await complete(req, upload)));
+        res.end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const upload = await findUpload(req);
+        await uploads.remove(upload.id);
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
+module.exports.discovery = discovery;
@@ -0,0 +1,90 @@
+// routes/workspaces.js
+// The caller's workspaces: list and create shared ones, invite members, accept or
+// decline invites, leave or remove members. File routes pick a workspace with the
+// X-Workspace-Id header.
+const express = require('express');
+const workspaces = require('../lib/workspaces');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.use(express.json());
+
+router.get('/', async (req, res) => {
+    try {
+        res.json({ workspaces: await workspaces.list(req.user.username) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        res.status(201).json(await workspaces.create(req.body.name, { owner: req.user.username }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Invites addressed to the caller.
+router.get('/invites', async (req, res) => {
+    try {
+        res.json({ invites: await workspaces.invitesFor(req.user.username) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.post('/invites/:inviteId/accept', async (req, res) => {
+    try {
+        res.json(await workspaces.acceptInvite(req.params.inviteId, { username: req.user.username }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Declined by the invitee or withdrawn by the owner.
+router.delete('/invites/:inviteId', async (req, res) => {
+    try {
+        await workspaces.cancelInvite(req.params.inviteId, { username: req.user.username });
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.patch('/:id', async (req, res) => {
+    try {
+        res.json(await workspaces.rename(req.params.id, req.body.name, { username: req.user.username }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        await workspaces.remove(req.params.id, { username: req.user.username });
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.post('/:id/invites', async (req, res) => {
+    try {
+        res.status(201).json(await workspaces.invite(req.params.id, req.body.username, { username: req.user.username }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/:id/members/:username', async (req, res) => {
+    try {
+        await workspaces.removeMember(req.params.id, req.params.username, { username: req.user.username });
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
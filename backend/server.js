@@ -1,58 +1,311 @@
 // server/server.js
+const crypto = require('crypto');
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 const cors = require('cors');
+const mcpRouter = require('./lib/mcpHttp');
+const { listFiles } = require('./lib/listing');
+const { HttpError, sendError } = require('./lib/errors');
+const { editFromRequest } = require('./lib/edits');
+const { requireAuth } = require('./lib/auth');
+const { authorize, authorizeTree, readFilter } = require('./lib/acl');
+const { selectWorkspace } = require('./lib/workspaces');
+const { versionOf } = require('./lib/workspace');
+const quota = require('./lib/quota');
+const ignore = require('./lib/ignore');
+const { CONFLICT_POLICIES, planBatch, importBatch } = require('./lib/uploads');
+const { DATA_DIR } = require('./lib/config');
+const searchIndex = require('./lib/searchIndex');
+const changeFeed = require('./lib/changeFeed');
+const authRouter = require('./routes/auth');
+const adminRouter = require('./routes/admin');
+const workspacesRouter = require('./routes/workspaces');
+const historyRouter = require('./routes/history');
+const trashRouter = require('./routes/trash');
+const searchRouter = require('./routes/search');
+const eventsRouter = require('./routes/events');
+const uploadsRouter = require('./routes/uploads');
+const archiveRouter = require('./routes/archive');
 
 const app = express();
 const PORT = 5000;
 
-app.use(cors());
-app.use(express.json());
+// tus clients discover the protocol with OPTIONS, which cors answers before any route.
+app.options(['/uploads', '/uploads/:id'], uploadsRouter.discovery);
+app.use(cors({
+    exposedHeaders: [
+        'Mcp-Session-Id', 'ETag', 'Last-Modified', 'Content-Range',
+        'Location', 'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires',
+        'Upload-Result', 'Upload-Saved-As',
+        'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm'
+    ]
+}));
 
-const BASE_DIR = path.join(__dirname, 'user_files');
-if (!fs.existsSync(BASE_DIR)) {
-    fs.mkdirSync(BASE_DIR);
-}
+// Login is the only thing reachable without a session or API token.
+app.use('/auth', authRouter);
+app.use(requireAuth);
+app.use('/admin', adminRouter);
+app.use('/workspaces', workspacesRouter);
+
+// Everything below works on one workspace, chosen per request (X-Workspace-Id).
+app.use(selectWorkspace);
+
+// MCP Streamable HTTP transport; parses its own JSON so errors come back as JSON-RPC.
+app.use('/mcp', mcpRouter);
+
+// Lists of paths and the ignore files among them, for POST /upload/ignore, can be large.
+app.use('/upload/ignore', express.json({ limit: '10mb' }));
+app.use(express.json());
 
 // Multer Setup
+// The client sends each file's relative path (webkitRelativePath) as its
+// filename, so folder uploads are recreated as real subdirectories.
+// Files are received into a staging folder of their own per request and only moved into
+// the workspace once the whole request has arrived and been checked as a batch (see
+// planBatch in lib/uploads.js), so a failed or refused upload never touches existing files.
+const UPLOAD_STAGING_DIR = path.join(DATA_DIR, 'incoming');
+
 const storage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, BASE_DIR),
-    filename: (req, file, cb) => cb(null, file.originalname)
+    destination: (req, file, cb) => fs.mkdir(req.stagingDir, { recursive: true }, (err) => cb(err, req.stagingDir)),
+    filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex'))
 });
-const upload = multer({ storage });
+
+// Multer is set up per request: a single file may not be larger than the space left in the workspace.
+const uploadFiles = async (req, res, next) => {
+    try {
+        req.onConflict = req.query.onConflict || 'overwrite';
+        if (!CONFLICT_POLICIES.includes(req.onConflict)) {
+            throw new HttpError(400, 'INVALID_REQUEST', `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+        }
+        const { fileSize } = await quota.checkUpload(req.workspace, { contentLength: Number(req.get('Content-Length')) || 0 });
+        const upload = multer({
+            storage,
+            preservePath: true,
+            limits: { fileSize, files: quota.limits.maxFilesPerUpload || Infinity }
+        });
+        req.stagingDir = path.join(UPLOAD_STAGING_DIR, crypto.randomBytes(16).toString('hex'));
+        res.on('close', () => fs.promises.rm(req.stagingDir, { recursive: true, force: true }));
+        upload.array('files')(req, res, (err) => {
+            if (!err) return next();
+            quota.uploadError(req.workspace, err, { fileSize }).then(next, next);
+        });
+    } catch (err) {
+        next(err);
+    }
+};
 
 // Routes
-app.post('/upload', upload.array('files'), (req, res) => {
-    res.json({ message: 'Files uploaded successfully!' });
+// ?onConflict= picks the conflict policy (see lib/uploads.js), "overwrite" by default. The response lists every file with its status:
+// created, overwritten, renamed (with savedAs), skipped or ignored (with ignoredPath).
+// .gitignore and .mcpignore files in the upload apply to the files sent with them.
+app.post('/upload', uploadFiles, async (req, res) => {
+    try {
+        const ws = req.workspace;
+        const files = req.files.map((file) => ({
+            path: ws.relativePath(ws.resolvePath(file.originalname)),
+            source: file.path,
+            size: file.size
+        }));
+        const plan = await planBatch(ws, req.user, files, { policy: req.onConflict });
+        const results = await importBatch(ws, plan, { policy: req.onConflict });
+        res.json({
+            message: `Uploaded ${plan.imports.length} file(s), left out ${results.length - plan.imports.length}.`,
+            results
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
 });
 
-app.post('/create', (req, res) => {
-    const { filename, content } = req.body;
-    const filePath = path.join(BASE_DIR, filename);
-    fs.writeFile(filePath, content, (err) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ message: 'File created successfully!' });
-    });
+// Which of the files a client is about to upload the ignore rules leave out, so it need not
+// send them. Body: { paths: [...], ignoreFiles: { [path]: text } } where ignoreFiles are the
+// .gitignore and .mcpignore files among them. Responds with { ignored: [{ path, ignoredPath }] }.
+app.post('/upload/ignore', async (req, res) => {
+    try {
+        const ws = req.workspace;
+        const { paths, ignoreFiles = {} } = req.body || {};
+        if (!Array.isArray(paths) || !paths.every((p) => typeof p === 'string')) {
+            throw new HttpError(400, 'INVALID_REQUEST', 'paths must be an array of strings');
+        }
+        if (typeof ignoreFiles !== 'object' || !Object.values(ignoreFiles).every((text) => typeof text === 'string')) {
+            throw new HttpError(400, 'INVALID_REQUEST', 'ignoreFiles must map paths to their text');
+        }
+        const incoming = ignore.incomingRules(Object.entries(ignoreFiles).map(([filename, text]) => ({
+            path: ws.relativePath(ws.resolvePath(filename)),
+            text
+        })));
+        const ignoredPath = ignore.forWorkspace(ws, { incoming });
+        const ignored = [];
+        for (const filename of paths) {
+            const matched = await ignoredPath(ws.relativePath(ws.resolvePath(filename)));
+            if (matched) ignored.push({ path: filename, ignoredPath: matched });
+        }
+        res.json({ ignored });
+    } catch (err) {
+        sendError(res, err);
+    }
 });
 
-app.post('/edit', (req, res) => {
-    const { filename, content } = req.body;
-    const filePath = path.join(BASE_DIR, filename);
-    fs.writeFile(filePath, content, (err) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ message: 'File edited successfully!' });
-    });
+app.post('/create', async (req, res) => {
+    const { filename, content, overwrite = false } = req.body;
+    try {
+        await authorize(req.workspace, req.user, 'write', filename);
+        const { created, version } = await req.workspace.createFile(filename, content, { overwrite: overwrite === true });
+        res.status(created ? 201 : 200).json({
+            message: created ? 'File created successfully!' : 'File overwritten successfully!',
+            version
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Takes full `content`, or a partial edit as `lines`, `replacements` or `patch`.
+// The expected version comes from the body or a standard If-Match header.
+app.post('/edit', async (req, res) => {
+    const { filename, expectedVersion = req.get('If-Match') } = req.body;
+    try {
+        await authorize(req.workspace, req.user, 'write', filename);
+        const { version } = await req.workspace.editFile(filename, editFromRequest(req.body), { expectedVersion });
+        res.json({ message: 'File edited successfully!', version });
+    } catch (err) {
+        sendError(res, err);
+    }
 });
 
-app.post('/delete', (req, res) => {
+// Moves the file to the trash; POST /trash/restore brings it back.
+app.post('/delete', async (req, res) => {
     const { filename } = req.body;
-    const filePath = path.join(BASE_DIR, filename);
-    fs.unlink(filePath, (err) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ message: 'File deleted successfully!' });
-    });
+    try {
+        await authorize(req.workspace, req.user, 'delete', filename);
+        const entry = await req.workspace.deleteFile(filename, { deletedBy: req.user.username });
+        res.json({ message: 'File moved to trash!', trashId: entry.id, expiresAt: entry.expiresAt });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.post('/mkdir', async (req, res) => {
+    const { path: dirname } = req.body;
+    try {
+        await authorize(req.workspace, req.user, 'write', dirname);
+        const { created } = await req.workspace.makeDirectory(dirname);
+        res.status(created ? 201 : 200).json({
+            message: created ? 'Directory created successfully!' : 'Directory already exists.'
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Renames or moves a file or directory.
+app.post('/move', async (req, res) => {
+    const { from, to, overwrite = false } = req.body;
+    try {
+        await authorizeTree(req.workspace, req.user, 'delete', from);
+        await authorizeTree(req.workspace, req.user, 'write', to, { contents: from });
+        const result = await req.workspace.movePath(from, to, { overwrite: overwrite === true });
+        res.json({ message: 'Moved successfully!', ...result });
+    } catch (err) {
+        sendError(res, err);
+    }
 });
 
-app.listen(PORT, () => console.log(`✅ MCP Server running at http://localhost:${PORT}`));
+// Copies a file or directory tree; onConflict is "fail", "skip" or "overwrite".
+app.post('/copy', async (req, res) => {
+    const { from, to, onConflict = 'fail' } = req.body;
+    try {
+        if (!['fail', 'skip', 'overwrite'].includes(onConflict)) {
+            throw new HttpError(400, 'INVALID_REQUEST', 'onConflict must be one of: fail, skip, overwrite');
+        }
+        await authorizeTree(req.workspace, req.user, 'read', from);
+        await authorizeTree(req.workspace, req.user, 'write', to, { contents: from });
+        const result = await req.workspace.copyPath(from, to, { onConflict });
+        res.json({ message: `Copied ${result.copied.length} file(s), skipped ${result.skipped.length}.`, ...result });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Moves a directory to the trash. Non-empty directories need recursive and confirm both set,
+// so a stray request cannot wipe a whole tree.
+app.post('/rmdir', async (req, res) => {
+    const { path: dirname, recursive = false, confirm = false } = req.body;
+    try {
+        if (recursive === true && confirm !== true) {
+            throw new HttpError(400, 'CONFIRMATION_REQUIRED', 'Recursive delete requires "confirm": true');
+        }
+        await authorizeTree(req.workspace, req.user, 'delete', dirname);
+        const entry = await req.workspace.deleteDirectory(dirname, {
+            recursive: recursive === true,
+            deletedBy: req.user.username
+        });
+        res.json({ message: 'Directory moved to trash!', trashId: entry.id, expiresAt: entry.expiresAt });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Storage used by the workspace and its limits, for the usage meter.
+app.get('/usage', async (req, res) => {
+    try {
+        res.json(await quota.report(req.workspace));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.get('/files', async (req, res) => {
+    try {
+        await authorize(req.workspace, req.user, 'read', req.query.path);
+        res.json(await listFiles(req.workspace, req.query, { canRead: await readFilter(req.workspace, req.user) }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Streams a file; sendFile takes care of Content-Type, Range requests,
+// Last-Modified and conditional GETs (304). The ETag is the file's content version, hashed
+// only when the file changed since it was last hashed (see versionOf).
+app.get('/files/*filepath', async (req, res) => {
+    const filename = req.params.filepath.join('/');
+    try {
+        await authorize(req.workspace, req.user, 'read', filename);
+        const filePath = req.workspace.resolvePath(filename);
+        const stats = await fs.promises.stat(filePath);
+        if (stats.isDirectory()) {
+            throw new HttpError(400, 'IS_A_DIRECTORY', `${filename} is a directory`);
+        }
+        res.set('ETag', `"${await versionOf(filePath)}"`);
+        res.sendFile(filePath, { dotfiles: 'allow' }, (err) => {
+            if (err && !res.headersSent) sendError(res, err);
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.use('/uploads', uploadsRouter);
+app.use('/archive', archiveRouter);
+app.use('/search', searchRouter);
+app.use('/events', eventsRouter);
+app.use('/history', historyRouter);
+app.use('/trash', trashRouter);
+
+// Errors raised outside the route handlers (e.g. by multer) are reported as JSON too.
+app.use((err, req, res, next) => {
+    sendError(res, err);
+});
+
+// Tests require the app and listen themselves, without the watcher and the search index.
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`✅ MCP Server running at http://localhost:${PORT}`);
+        changeFeed.start();
+        searchIndex.start().catch((err) => console.error('Search index failed to start:', err));
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,111 @@
+// ACL evaluation in lib/acl.js, and its use by whole-tree operations (/copy, /move, /rmdir,
+// /trash/restore).
+const { startServer, signIn } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const acl = require('../lib/acl');
+const { createScope } = require('../lib/workspace');
+
+const ws = createScope({ id: 'acl-test', dir: 'acl-test' });
+const alice = { username: 'alice', role: 'editor' };
+const viewer = { username: 'vera', role: 'viewer' };
+
+let server;
+let request;
+
+test.before(async () => {
+    server = await startServer();
+    ({ request } = await signIn(server.url, 'treeuser'));
+});
+test.after(() => server.close());
+
+const create = async (filename, content = 'x') => {
+    const res = await request('POST', '/create', { body: { filename, content } });
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+};
+
+test('roles grant actions unless a matching rule denies them', async () => {
+    assert.strictEqual((await acl.check(ws, alice, 'write', 'notes.txt')).allowed, true);
+    assert.strictEqual((await acl.check(ws, viewer, 'write', 'notes.txt')).allowed, false);
+    assert.strictEqual((await acl.check(ws, null, 'delete', 'anything')).allowed, true);
+
+    const deny = await acl.addRule({ path: '/locked/**', effect: 'deny', actions: ['write'], users: ['alice'] });
+    const allow = await acl.addRule({ path: 'drafts', effect: 'allow', actions: ['write'], roles: ['viewer'] });
+    try {
+        const result = await acl.check(ws, alice, 'write', 'locked/a/b.txt');
+        assert.strictEqual(result.allowed, false);
+        assert.strictEqual(result.rule.id, deny.id);
+        assert.strictEqual((await acl.check(ws, alice, 'read', 'locked/a/b.txt')).allowed, true);
+        assert.strictEqual((await acl.check(ws, viewer, 'write', 'locked/a/b.txt')).allowed, false);
+        assert.strictEqual((await acl.check(ws, viewer, 'write', 'drafts/plan.md')).allowed, true);
+        assert.strictEqual((await acl.check(ws, viewer, 'write', 'draftsman.md')).allowed, false);
+        await assert.rejects(acl.authorize(ws, alice, 'write', 'locked/x'), (err) => err.status === 403 && err.code === 'ACCESS_DENIED');
+    } finally {
+        await acl.deleteRule(deny.id);
+        await acl.deleteRule(allow.id);
+    }
+});
+
+test('a read deny on **/*.pem is not bypassed by copying or moving the folder', async () => {
+    const rule = await acl.addRule({ path: '**/*.pem', effect: 'deny', actions: ['read'] });
+    try {
+        await create('keys/id.pem', 'PRIVATE KEY');
+        await create('keys/readme.txt');
+        assert.strictEqual((await request('GET', '/files/keys/id.pem')).status, 403);
+
+        let res = await request('POST', '/copy', { body: { from: 'keys', to: 'leak' } });
+        assert.strictEqual(res.status, 403, JSON.stringify(res.body));
+        assert.strictEqual(res.body.path, 'keys/id.pem');
+        assert.strictEqual((await request('GET', '/files/leak/readme.txt')).status, 404);
+
+        // A moved .pem file stays unreadable; denying write keeps it from being moved at all.
+        await acl.updateRule(rule.id, { actions: ['read', 'write'] });
+        res = await request('POST', '/move', { body: { from: 'keys', to: 'moved' } });
+        assert.strictEqual(res.status, 403, JSON.stringify(res.body));
+        assert.strictEqual(res.body.path, 'moved/id.pem');
+        assert.strictEqual((await request('GET', '/files/keys/readme.txt')).status, 200);
+    } finally {
+        await acl.deleteRule(rule.id);
+    }
+});
+
+test('a delete deny on /vendor/**/*.js blocks removing or moving a folder below vendor', async () => {
+    const rule = await acl.addRule({ path: '/vendor/**/*.js', effect: 'deny', actions: ['delete'] });
+    try {
+        await create('vendor/lib/index.js');
+        await create('vendor/lib/deep/util.js');
+
+        let res = await request('POST', '/rmdir', { body: { path: 'vendor/lib', recursive: true, confirm: true } });
+        assert.strictEqual(res.status, 403, JSON.stringify(res.body));
+        assert.strictEqual(res.body.code, 'ACCESS_DENIED');
+
+        res = await request('POST', '/move', { body: { from: 'vendor/lib', to: 'elsewhere' } });
+        assert.strictEqual(res.status, 403, JSON.stringify(res.body));
+        assert.strictEqual((await request('GET', '/files/vendor/lib/deep/util.js')).status, 200);
+
+        // Folders holding no matching file are unaffected.
+        await create('vendor/docs/readme.md');
+        res = await request('POST', '/rmdir', { body: { path: 'vendor/docs', recursive: true, confirm: true } });
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    } finally {
+        await acl.deleteRule(rule.id);
+    }
+});
+
+test('a write deny nested in a restored directory blocks the restore', async () => {
+    const rule = await acl.addRule({ path: '/keys/prod/**', effect: 'deny', actions: ['write'] });
+    try {
+        let res = await request('POST', '/create', { body: { filename: 'keys/prod/x.pem', content: 'KEY' } });
+        assert.strictEqual(res.status, 403);
+
+        await create('tmp/prod/x.pem', 'KEY');
+        res = await request('POST', '/rmdir', { body: { path: 'tmp', recursive: true, confirm: true } });
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        res = await request('POST', '/trash/restore', { body: { id: res.body.trashId, path: 'keys' } });
+        assert.strictEqual(res.status, 403, JSON.stringify(res.body));
+        assert.strictEqual(res.body.code, 'ACCESS_DENIED');
+        assert.strictEqual((await request('GET', '/files/keys/prod/x.pem')).status, 404);
+    } finally {
+        await acl.deleteRule(rule.id);
+    }
+});
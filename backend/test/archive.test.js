@@ -0,0 +1,51 @@
+// Archives written by lib/archive.js, read back by lib/extract.js: what goes in comes out.
+const { TEST_ROOT } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { createScope } = require('../lib/workspace');
+const { collect, createArchive } = require('../lib/archive');
+const { extract } = require('../lib/extract');
+
+const ws = createScope({ id: 'archive-test', dir: 'archive-test' });
+
+// Longer than the 100 bytes a ustar name field holds, so tar needs a pax header for it.
+const LONG_NAME = `project/${'deep/'.repeat(25)}notes.txt`;
+const FILES = {
+    'project/readme.md': '# Project\n',
+    'project/empty.txt': '',
+    'project/data/random.bin': crypto.randomBytes(200 * 1024),
+    'project/data/zeros.bin': Buffer.alloc(300 * 1024),
+    'project/übersicht – 日本.txt': 'non-ASCII name',
+    [LONG_NAME]: 'long name'
+};
+
+test.before(async () => {
+    for (const [name, content] of Object.entries(FILES)) await ws.createFile(name, content);
+    await ws.makeDirectory('project/empty-folder');
+});
+
+for (const format of ['zip', 'tar.gz']) {
+    test(`a ${format} archive of a folder extracts to the same files`, async () => {
+        const { name, entries } = await collect(ws, ['project']);
+        assert.strictEqual(name, 'project');
+        const dir = path.join(TEST_ROOT, `roundtrip-${format}`);
+        fs.mkdirSync(dir, { recursive: true });
+        const archivePath = path.join(dir, `project.${format}`);
+        await pipeline(createArchive(format, entries), fs.createWriteStream(archivePath));
+
+        const dest = path.join(dir, 'files');
+        const extracted = await extract(archivePath, dest);
+        assert.deepStrictEqual(
+            extracted.map((e) => [e.name, e.directory]).sort(),
+            entries.map((e) => [e.name, e.directory]).sort()
+        );
+        for (const [filename, content] of Object.entries(FILES)) {
+            assert.ok(fs.readFileSync(path.join(dest, filename)).equals(Buffer.from(content)), filename);
+        }
+        assert.ok(fs.statSync(path.join(dest, 'project/empty-folder')).isDirectory());
+    });
+}
@@ -0,0 +1,66 @@
+// Accounts changed with the users.js CLI while the server runs: both write <DATA_DIR>/auth.json.
+// Also the single-use tickets that stand in for the session token in URLs.
+const { startServer, signIn } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const auth = require('../lib/auth');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.close());
+
+// Runs `node users.js ...args` in its own process, answering its password prompt with `input`.
+const cli = (args, input = '') => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'users.js'), ...args], { input, encoding: 'utf8', timeout: 30000 });
+    assert.strictEqual(result.status, 0, result.stderr);
+};
+
+test('a password changed from the CLI signs the user out of the running server', async () => {
+    const { request } = await signIn(server.url, 'carol');
+    assert.strictEqual((await request('GET', '/usage')).status, 200);
+
+    cli(['passwd', 'carol'], 'new-password-1\n');
+    const res = await request('GET', '/usage');
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.code, 'INVALID_TOKEN');
+    assert.strictEqual((await auth.login('carol', 'new-password-1')).user.username, 'carol');
+});
+
+test('a user removed from the CLI loses their sessions and API tokens', async () => {
+    const { request } = await signIn(server.url, 'dave');
+    const { token } = await auth.createToken('dave', { name: 'script' });
+
+    cli(['remove', 'dave']);
+    assert.strictEqual((await request('GET', '/usage')).status, 401);
+    const res = await fetch(`${server.url}/usage`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.strictEqual(res.status, 401);
+});
+
+test('changes from the server and the CLI do not overwrite each other', async () => {
+    await auth.createUser('erin', 'password123');
+    cli(['add', 'frank', 'viewer'], 'password123\n');
+    await auth.setRole('erin', 'viewer');
+    await auth.login('frank', 'password123');
+    const users = Object.fromEntries((await auth.listUsers()).map((user) => [user.username, user.role]));
+    assert.strictEqual(users.erin, 'viewer');
+    assert.strictEqual(users.frank, 'viewer');
+});
+
+test('a ticket authenticates one GET request and the session token is never accepted in the URL', async () => {
+    const { token, request } = await signIn(server.url, 'gina');
+    const { status, body } = await request('POST', '/auth/tickets');
+    assert.strictEqual(status, 201);
+
+    assert.strictEqual((await fetch(`${server.url}/usage?ticket=${body.ticket}`)).status, 200);
+    const reused = await fetch(`${server.url}/usage?ticket=${body.ticket}`);
+    assert.strictEqual(reused.status, 401);
+    assert.strictEqual((await reused.json()).code, 'INVALID_TOKEN');
+    const inUrl = await fetch(`${server.url}/usage?access_token=${token}`);
+    assert.strictEqual(inUrl.status, 401);
+    assert.strictEqual((await inUrl.json()).code, 'AUTH_REQUIRED');
+});
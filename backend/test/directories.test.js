@@ -0,0 +1,83 @@
+// Moving and copying files and folders (movePath and copyPath in lib/workspace.js).
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScope } = require('../lib/workspace');
+const history = require('../lib/history');
+const trash = require('../lib/trash');
+
+const ws = createScope({ id: 'dirs-test', dir: 'dirs-test' });
+
+const versionsOf = async (filename) => (await history.listVersions(ws.globalPath(filename))).map((version) => version.reason);
+const trashed = async () => (await trash.list()).filter((entry) => ws.fromGlobal(entry.path) !== null);
+
+test('a folder cannot be moved or copied into itself', async () => {
+    await ws.createFile('tree/a.txt', 'a');
+    await assert.rejects(ws.movePath('tree', 'tree/sub'), { status: 400, code: 'INVALID_MOVE' });
+    await assert.rejects(ws.movePath('tree', 'tree'), { status: 400, code: 'INVALID_MOVE' });
+    await assert.rejects(ws.movePath('', 'elsewhere'), { status: 400, code: 'INVALID_MOVE' });
+    await assert.rejects(ws.copyPath('tree', 'tree/sub/copy'), { status: 400, code: 'INVALID_COPY' });
+    assert.deepStrictEqual(await ws.listDirectory('tree'), [{ name: 'a.txt', type: 'file' }]);
+});
+
+test('moving replaces an existing file only with overwrite, saving it to history first', async () => {
+    await ws.createFile('move/from.txt', 'new');
+    await ws.createFile('move/to.txt', 'old');
+    await assert.rejects(ws.movePath('move/from.txt', 'move/to.txt'), { status: 409, code: 'FILE_EXISTS' });
+
+    assert.deepStrictEqual(await ws.movePath('move/from.txt', 'move/to.txt', { overwrite: true }), { path: 'move/to.txt' });
+    assert.strictEqual(await ws.readFile('move/to.txt'), 'new');
+    await assert.rejects(ws.readFile('move/from.txt'), { code: 'ENOENT' });
+    assert.deepStrictEqual(await versionsOf('move/to.txt'), ['overwrite']);
+    assert.deepStrictEqual(await trashed(), []);
+});
+
+test('an existing directory is never replaced by a move', async () => {
+    await ws.createFile('clash/file.txt', 'file');
+    await ws.createFile('clash/dir/inner.txt', 'inner');
+    await ws.createFile('clash/other/x.txt', 'x');
+    await assert.rejects(ws.movePath('clash/file.txt', 'clash/dir', { overwrite: true }), { status: 409 });
+    await assert.rejects(ws.movePath('clash/other', 'clash/dir', { overwrite: true }), { status: 409 });
+    await assert.rejects(ws.movePath('clash/other', 'clash/file.txt', { overwrite: true }), { status: 409 });
+    assert.strictEqual(await ws.readFile('clash/dir/inner.txt'), 'inner');
+    assert.strictEqual(await ws.readFile('clash/file.txt'), 'file');
+});
+
+test('copying a folder applies the conflict policy file by file', async () => {
+    await ws.createFile('src/a.txt', 'a from src');
+    await ws.createFile('src/deep/b.txt', 'b from src');
+    await ws.createFile('dest/a.txt', 'a in dest');
+    await ws.createFile('dest/keep.txt', 'keep');
+
+    await assert.rejects(ws.copyPath('src', 'dest'), (err) => {
+        assert.strictEqual(err.status, 409);
+        assert.deepStrictEqual(err.details.conflicts, ['dest/a.txt']);
+        return true;
+    });
+    // "fail" copies nothing at all.
+    await assert.rejects(ws.readFile('dest/deep/b.txt'), { code: 'ENOENT' });
+
+    assert.deepStrictEqual(await ws.copyPath('src', 'dest', { onConflict: 'skip' }), { copied: ['dest/deep/b.txt'], skipped: ['dest/a.txt'] });
+    assert.strictEqual(await ws.readFile('dest/a.txt'), 'a in dest');
+    assert.deepStrictEqual(await versionsOf('dest/a.txt'), []);
+
+    const result = await ws.copyPath('src', 'dest', { onConflict: 'overwrite' });
+    assert.deepStrictEqual(result.copied.sort(), ['dest/a.txt', 'dest/deep/b.txt']);
+    assert.strictEqual(await ws.readFile('dest/a.txt'), 'a from src');
+    assert.strictEqual(await ws.readFile('dest/keep.txt'), 'keep');
+    assert.deepStrictEqual(await versionsOf('dest/a.txt'), ['overwrite']);
+    // The source is untouched, and nothing goes to the trash.
+    assert.strictEqual(await ws.readFile('src/a.txt'), 'a from src');
+    assert.deepStrictEqual(await trashed(), []);
+});
+
+test('deleting a folder needs recursive when it is not empty, and moves it to the trash', async () => {
+    await ws.createFile('old/notes/a.txt', 'a');
+    await assert.rejects(ws.deleteDirectory('old'), { status: 409, code: 'DIRECTORY_NOT_EMPTY' });
+    await assert.rejects(ws.deleteDirectory(''), { status: 400 });
+
+    const entry = await ws.deleteDirectory('old', { recursive: true, deletedBy: 'tester' });
+    assert.ok(!(await ws.listDirectory('')).some((item) => item.name === 'old'));
+    assert.strictEqual(entry.type, 'directory');
+    assert.deepStrictEqual((await trashed()).map((item) => [ws.fromGlobal(item.path), item.deletedBy]), [['old', 'tester']]);
+});
@@ -0,0 +1,103 @@
+// Partial edits (lib/edits.js): line ranges, unique search/replace and unified-diff patches.
+const { startServer, signIn } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyLineEdits, applyReplacements, applyPatch } = require('../lib/edits');
+
+let server;
+let request;
+
+test.before(async () => {
+    server = await startServer();
+    ({ request } = await signIn(server.url, 'editor'));
+});
+test.after(() => server.close());
+
+// Asserts that `fn` throws 422 EDIT_FAILED listing exactly `failures`.
+const failsWith = (fn, failures) => assert.throws(fn, (err) => {
+    assert.strictEqual(err.status, 422);
+    assert.strictEqual(err.code, 'EDIT_FAILED');
+    assert.deepStrictEqual(err.details.failures, failures);
+    return true;
+});
+
+const PATCH = [
+    '--- a/notes.txt',
+    '+++ b/notes.txt',
+    '@@ -1,3 +1,3 @@',
+    ' one',
+    '-two',
+    '+TWO',
+    ' three',
+    ''
+].join('\n');
+
+test('line edits are addressed against the original text', () => {
+    const text = 'a\nb\nc\n';
+    assert.strictEqual(applyLineEdits(text, [{ startLine: 2, endLine: 2, newText: 'B' }]), 'a\nB\nc\n');
+    assert.strictEqual(applyLineEdits(text, [{ startLine: 2, endLine: 1, newText: 'x' }]), 'a\nx\nb\nc\n');
+    assert.strictEqual(applyLineEdits(text, [{ startLine: 4, endLine: 3, newText: 'd' }]), 'a\nb\nc\nd\n');
+    assert.strictEqual(applyLineEdits(text, [
+        { startLine: 3, endLine: 3, newText: 'C1\nC2' },
+        { startLine: 1, endLine: 1, newText: 'A' }
+    ]), 'A\nb\nC1\nC2\n');
+});
+
+test('overlapping and out-of-range line edits are rejected together', () => {
+    failsWith(() => applyLineEdits('a\nb\nc\n', [
+        { startLine: 1, endLine: 2, newText: 'x' },
+        { startLine: 2, endLine: 3, newText: 'y' },
+        { startLine: 4, endLine: 4, newText: 'z' },
+        { startLine: 0, endLine: 1, newText: 'w' }
+    ]), [
+        { index: 1, reason: 'Overlaps edit 0' },
+        { index: 2, reason: 'Range 4-4 is past the end of the file (3 lines)' },
+        { index: 3, reason: 'startLine and endLine must be line numbers with endLine >= startLine - 1' }
+    ]);
+});
+
+test('search strings must match exactly once', () => {
+    assert.strictEqual(applyReplacements('foo bar baz', [{ search: 'bar', replace: 'BAR' }]), 'foo BAR baz');
+    // Replacements apply in order, each to the result of the previous one.
+    assert.strictEqual(applyReplacements('foo', [{ search: 'foo', replace: 'bar' }, { search: 'bar', replace: 'baz' }]), 'baz');
+    failsWith(() => applyReplacements('foo bar foo', [
+        { search: 'foo', replace: 'x' },
+        { search: 'qux', replace: 'y' },
+        { search: 'bar', replace: 'z' }
+    ]), [
+        { index: 0, reason: 'search matches 2 times' },
+        { index: 1, reason: 'search not found' }
+    ]);
+});
+
+test('patches apply where their context matches, even if the lines have shifted', () => {
+    assert.strictEqual(applyPatch('one\ntwo\nthree\n', PATCH), 'one\nTWO\nthree\n');
+    assert.strictEqual(applyPatch('x\ny\none\ntwo\nthree\n', PATCH), 'x\ny\none\nTWO\nthree\n');
+    failsWith(() => applyPatch('one\nzwei\nthree\n', PATCH), [
+        { hunk: 1, header: '@@ -1,3 +1,3 @@', reason: 'context does not match the file' }
+    ]);
+    assert.throws(() => applyPatch('one\n', 'not a patch'), { status: 400, code: 'INVALID_EDIT' });
+});
+
+test('CRLF files keep their line endings', () => {
+    const text = 'one\r\ntwo\r\nthree\r\n';
+    assert.strictEqual(applyLineEdits(text, [{ startLine: 1, endLine: 1, newText: 'X\nY' }]), 'X\r\nY\r\ntwo\r\nthree\r\n');
+    assert.strictEqual(applyReplacements(text, [{ search: 'one\r\ntwo', replace: 'uno\r\ndos' }]), 'uno\r\ndos\r\nthree\r\n');
+    assert.strictEqual(applyPatch(text, PATCH), 'one\r\nTWO\r\nthree\r\n');
+});
+
+test('a rejected edit leaves the file untouched', async () => {
+    await request('POST', '/create', { body: { filename: 'notes.txt', content: 'one\ntwo\nthree\n' } });
+    const attempts = [
+        { replacements: [{ search: 'one', replace: 'ONE' }, { search: 'four', replace: 'FOUR' }] },
+        { lines: [{ startLine: 1, endLine: 1, newText: 'ONE' }, { startLine: 9, endLine: 9, newText: 'NINE' }] },
+        { patch: PATCH.replace(' three', ' drei') }
+    ];
+    for (const attempt of attempts) {
+        const res = await request('POST', '/edit', { body: { filename: 'notes.txt', ...attempt } });
+        assert.strictEqual(res.status, 422, JSON.stringify(res.body));
+        assert.strictEqual(res.body.failures.length, 1);
+    }
+    assert.strictEqual((await request('GET', '/files/notes.txt')).body, 'one\ntwo\nthree\n');
+    assert.deepStrictEqual((await request('GET', '/history?path=notes.txt')).body.versions, []);
+});
@@ -0,0 +1,148 @@
+// Archive extraction (lib/extract.js) against crafted archives: zip slip, links, and limits.
+const { TEST_ROOT } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { extract } = require('../lib/extract');
+
+const MB = 1024 * 1024;
+
+// ---- crafted archives ----
+
+const tarHeader = (name, { type = '0', size = 0, linkname = '' } = {}) => {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write(type, 156);
+    header.write(linkname, 157, 100);
+    header.write('ustar\0' + '00', 257);
+    header.fill(' ', 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    return header;
+};
+
+// entries: [{ name, type, linkname, data }]
+const tarGz = (entries) => {
+    const blocks = [];
+    for (const { data = Buffer.alloc(0), ...entry } of entries) {
+        blocks.push(tarHeader(entry.name, { ...entry, size: data.length }), data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return zlib.gzipSync(Buffer.concat(blocks), { level: 9 });
+};
+
+// entries: [{ name, data, mode }]; a Unix file mode sets the entry's type (e.g. 0o120777 for a symlink).
+const zip = (entries) => {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    for (const { name, data = Buffer.alloc(0), mode = 0o100644 } of entries) {
+        const nameBytes = Buffer.from(name);
+        const compressed = zlib.deflateRawSync(data, { level: 9 });
+        const crc = zlib.crc32(data);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE((3 << 8) | 20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt32LE(crc, 16);
+        record.writeUInt32LE(compressed.length, 20);
+        record.writeUInt32LE(data.length, 24);
+        record.writeUInt16LE(nameBytes.length, 28);
+        record.writeUInt32LE(mode * 0x10000, 38);
+        record.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, compressed);
+        central.push(record, nameBytes);
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+let counter = 0;
+// Writes `archive` to disk and extracts it into a fresh folder; resolves to { entries, dest }.
+const run = async (archive, limits) => {
+    const dir = path.join(TEST_ROOT, `extract-${++counter}`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'archive'), archive);
+    const dest = path.join(dir, 'files');
+    return { entries: await extract(path.join(dir, 'archive'), dest, limits), dest };
+};
+
+const refused = (archive, code, limits) => assert.rejects(run(archive, limits), (err) => {
+    assert.strictEqual(err.code, code, err.message);
+    return true;
+});
+
+// ---- tests ----
+
+test('files and folders from zip and tar.gz archives are extracted', async () => {
+    const files = [{ name: 'docs/', type: '5', mode: 0o040755 }, { name: 'docs/a.txt', data: Buffer.from('hello') }, { name: './b.txt', data: Buffer.from('world') }];
+    for (const archive of [zip(files), tarGz(files)]) {
+        const { entries, dest } = await run(archive);
+        assert.deepStrictEqual(entries.map((e) => [e.name, e.directory, e.size]), [['docs', true, 0], ['docs/a.txt', false, 5], ['b.txt', false, 5]]);
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'docs/a.txt'), 'utf8'), 'hello');
+    }
+});
+
+test('entries that point outside the target folder are refused (zip slip)', async () => {
+    for (const name of ['../evil.txt', 'a/../../evil.txt', '/etc/evil.txt', 'C:/evil.txt', '..\\evil.txt']) {
+        const data = Buffer.from('evil');
+        await refused(zip([{ name, data }]), 'UNSAFE_ARCHIVE_ENTRY');
+        await refused(tarGz([{ name, data }]), 'UNSAFE_ARCHIVE_ENTRY');
+    }
+    assert.ok(!fs.existsSync(path.join(TEST_ROOT, 'evil.txt')));
+});
+
+test('symlinks and hard links are refused', async () => {
+    await refused(zip([{ name: 'link', data: Buffer.from('/etc/passwd'), mode: 0o120777 }]), 'UNSAFE_ARCHIVE_ENTRY');
+    await refused(tarGz([{ name: 'link', type: '2', linkname: '/etc/passwd' }]), 'UNSAFE_ARCHIVE_ENTRY');
+    await refused(tarGz([{ name: 'a.txt', data: Buffer.from('a') }, { name: 'hard', type: '1', linkname: 'a.txt' }]), 'UNSAFE_ARCHIVE_ENTRY');
+});
+
+test('archives that expand far beyond their size are refused', async () => {
+    const zeros = Buffer.alloc(8 * MB);
+    await refused(zip([{ name: 'bomb.bin', data: zeros }]), 'COMPRESSION_RATIO_EXCEEDED', { maxRatio: 100 });
+    await refused(tarGz([{ name: 'bomb.bin', data: zeros }]), 'COMPRESSION_RATIO_EXCEEDED', { maxRatio: 100 });
+    // Data carried by a folder entry is inflated too, so it is counted as well.
+    await refused(tarGz([{ name: 'dir/', type: '5', data: zeros }]), 'COMPRESSION_RATIO_EXCEEDED', { maxRatio: 100 });
+    await refused(tarGz([{ name: 'dir/', type: '5', data: zeros }]), 'ARCHIVE_TOO_LARGE', { maxBytes: MB });
+});
+
+test('size and count limits are enforced on the bytes actually extracted', async () => {
+    const data = Buffer.alloc(2 * MB, 'x');
+    const files = [{ name: 'a.bin', data }, { name: 'b.bin', data }];
+    await refused(zip(files), 'FILE_TOO_LARGE', { maxFileSize: MB });
+    await refused(tarGz(files), 'FILE_TOO_LARGE', { maxFileSize: MB });
+    await refused(zip(files), 'ARCHIVE_TOO_LARGE', { maxBytes: 3 * MB });
+    await refused(tarGz(files), 'ARCHIVE_TOO_LARGE', { maxBytes: 3 * MB });
+    await refused(zip(files), 'TOO_MANY_FILES', { maxFiles: 1 });
+    await refused(tarGz(files), 'TOO_MANY_FILES', { maxFiles: 1 });
+    const { entries } = await run(tarGz(files), { maxFileSize: 2 * MB, maxBytes: 4 * MB, maxFiles: 2 });
+    assert.strictEqual(entries.length, 2);
+});
+
+test('an entry naming the target folder itself does not throw the tar reader off', async () => {
+    const { entries, dest } = await run(tarGz([{ name: './', data: Buffer.from('x'.repeat(700)) }, { name: 'after.txt', data: Buffer.from('after') }]));
+    assert.deepStrictEqual(entries.map((e) => e.name), ['after.txt']);
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'after.txt'), 'utf8'), 'after');
+});
@@ -0,0 +1,63 @@
+// test/helpers.js
+// Shared setup for the backend tests. Require it before anything from lib/: it points the
+// server at fresh temporary directories, so tests never touch user_files/ or .mcp-data/.
+// node --test runs every test file in its own process, so each file gets its own.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-test-'));
+process.env.MCP_DATA_DIR = path.join(TEST_ROOT, 'data');
+process.env.MCP_FILES_DIR = path.join(TEST_ROOT, 'files');
+process.on('exit', () => fs.rmSync(TEST_ROOT, { recursive: true, force: true }));
+
+const PASSWORD = 'password123';
+
+// Starts the app on a free port; resolves to { url, close }.
+const startServer = async () => {
+    const app = require('../server');
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+};
+
+/**
+ * Creates user `username` and signs in. Resolves to { token, request }, where
+ * request(method, route, { body, headers }) resolves to { status, headers, body } with a
+ * JSON body parsed. Buffers and strings are sent as they are, anything else as JSON.
+ */
+const signIn = async (url, username, { role = 'editor' } = {}) => {
+    const auth = require('../lib/auth');
+    await auth.createUser(username, PASSWORD, { role });
+    const { token } = await auth.login(username, PASSWORD);
+    const request = async (method, route, { body, headers = {} } = {}) => {
+        const raw = typeof body === 'string' || Buffer.isBuffer(body);
+        const res = await fetch(`${url}${route}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(body !== undefined && !raw ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body === undefined || raw ? body : JSON.stringify(body)
+        });
+        const text = await res.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (err) {
+            // Not JSON; keep the text.
+        }
+        return { status: res.status, headers: res.headers, body: parsed };
+    };
+    return { token, request };
+};
+
+module.exports = { TEST_ROOT, startServer, signIn };
@@ -0,0 +1,51 @@
+// Version history retention (lib/history.js): the version limit, including 0, and the sweep
+// that expires old versions of files nobody touches any more.
+const { TEST_ROOT } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createScope } = require('../lib/workspace');
+const history = require('../lib/history');
+
+const ws = createScope({ id: 'history-test', dir: 'history-test' });
+const HISTORY_DIR = path.join(TEST_ROOT, 'data', 'history');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored version contents (not indexes) below HISTORY_DIR.
+const storedVersions = () => fs.readdirSync(HISTORY_DIR, { recursive: true }).filter((name) => /\/\d+$/.test(name));
+
+test('a maximum of 0 versions keeps no versions at all', async () => {
+    const { maxVersions } = history.retention;
+    history.retention.maxVersions = 0;
+    try {
+        await ws.createFile('a.txt', 'first');
+        await ws.createFile('a.txt', 'second', { overwrite: true });
+        await ws.createFile('a.txt', 'third', { overwrite: true });
+        assert.deepStrictEqual(await history.listVersions('history-test/a.txt'), []);
+        assert.deepStrictEqual(storedVersions(), []);
+    } finally {
+        history.retention.maxVersions = maxVersions;
+    }
+});
+
+test('the sweep removes expired versions of files that are not written or listed again', async () => {
+    await ws.createFile('old.txt', 'one');
+    await ws.createFile('old.txt', 'two', { overwrite: true });
+    await ws.createFile('recent.txt', 'one');
+    await ws.createFile('recent.txt', 'two', { overwrite: true });
+    assert.strictEqual(storedVersions().length, 2);
+
+    // Age the version of old.txt past the limit, behind the history's back.
+    const indexPath = fs.readdirSync(HISTORY_DIR)
+        .map((dir) => path.join(HISTORY_DIR, dir, 'index.json'))
+        .find((file) => JSON.parse(fs.readFileSync(file, 'utf8')).path === 'history-test/old.txt');
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    index.versions[0].createdAt = new Date(Date.now() - (history.retention.maxAgeDays + 1) * DAY_MS).toISOString();
+    fs.writeFileSync(indexPath, JSON.stringify(index));
+
+    await history.sweep();
+    assert.strictEqual(storedVersions().length, 1);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(indexPath, 'utf8')).versions, []);
+    assert.strictEqual((await history.listVersions('history-test/recent.txt')).length, 1);
+});
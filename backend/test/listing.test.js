@@ -0,0 +1,61 @@
+// Paginated listings (lib/listing.js): pages add up to the full listing, and each page goes
+// on from where the last one stopped instead of walking the tree from the start again.
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createScope } = require('../lib/workspace');
+const { listFiles } = require('../lib/listing');
+
+const ws = createScope({ id: 'listing-test', dir: 'listing-test' });
+const DIRS = 20;
+
+test.before(async () => {
+    for (let d = 0; d < DIRS; d++) {
+        for (let f = 0; f < 5; f++) await ws.createFile(`dir${d}/file${f}.txt`, 'x'.repeat(d * 5 + f));
+    }
+    await ws.makeDirectory('dir3/empty');
+});
+
+// Every page of a listing; `readdir` counts the directories read meanwhile.
+const allPages = async (query) => {
+    const pages = [];
+    let cursor;
+    do {
+        const page = await listFiles(ws, { ...query, cursor });
+        pages.push(page.entries.map((entry) => entry.path));
+        cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+};
+
+test('pages add up to the whole listing, whatever the order', async () => {
+    for (const query of [{ sort: 'name' }, { sort: 'size', order: 'desc' }, { sort: 'type', depth: '1' }, { include: '**/file2.txt' }]) {
+        const { entries } = await listFiles(ws, { ...query, limit: '1000' });
+        const pages = await allPages({ ...query, limit: '7' });
+        assert.ok(pages.length > 1 || entries.length <= 7, JSON.stringify(query));
+        assert.deepStrictEqual(pages.flat(), entries.map((entry) => entry.path), JSON.stringify(query));
+    }
+});
+
+test('each page reads only the directories on its way', async () => {
+    const { readdir } = fs.promises;
+    let reads = 0;
+    fs.promises.readdir = (...args) => {
+        reads++;
+        return readdir(...args);
+    };
+    try {
+        const pages = await allPages({ limit: '5' });
+        // Resuming reads the folders leading to the last entry again, nothing before it.
+        assert.ok(reads <= DIRS + 2 + 3 * pages.length, `${reads} reads for ${pages.length} pages`);
+    } finally {
+        fs.promises.readdir = readdir;
+    }
+});
+
+test('malformed cursors are refused', async () => {
+    for (const cursor of ['nope', Buffer.from('10').toString('base64url'), Buffer.from('[["a", 1]]').toString('base64url')]) {
+        await assert.rejects(listFiles(ws, { cursor }), (err) => err.code === 'INVALID_QUERY');
+    }
+});
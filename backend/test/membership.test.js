@@ -0,0 +1,99 @@
+// Members removed from a shared workspace lose their MCP sessions and event streams in it.
+const { startServer, signIn } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const workspaces = require('../lib/workspaces');
+
+let server;
+let owner;
+let member;
+let workspaceId;
+
+test.before(async () => {
+    server = await startServer();
+    owner = await signIn(server.url, 'owner');
+    member = await signIn(server.url, 'member');
+});
+test.after(() => server.close());
+
+test.beforeEach(async () => {
+    ({ id: workspaceId } = await workspaces.create('Team', { owner: 'owner' }));
+    const invite = await workspaces.invite(workspaceId, 'member', { username: 'owner' });
+    await workspaces.acceptInvite(invite.id, { username: 'member' });
+});
+
+const mcp = (body, headers = {}) => member.request('POST', '/mcp', {
+    body,
+    headers: { 'X-Workspace-Id': workspaceId, Accept: 'application/json, text/event-stream', ...headers }
+});
+
+const openSession = async () => {
+    const res = await mcp({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    return res.headers.get('Mcp-Session-Id');
+};
+
+// Resolves once the server ends the response body; fails if it is still open after a second.
+const ended = async (res) => {
+    const reader = res.body.getReader();
+    let open = true;
+    const timeout = setTimeout(() => {
+        open = false;
+        reader.cancel();
+    }, 1000);
+    while (!(await reader.read()).done);
+    clearTimeout(timeout);
+    assert.ok(open, 'the stream is still open');
+};
+
+test('an MCP session ends when its user is removed from the workspace', async () => {
+    const sessionId = await openSession();
+    const ping = () => mcp({ jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+    assert.strictEqual((await ping()).status, 200);
+
+    const stream = await fetch(`${server.url}/mcp`, {
+        headers: {
+            Authorization: `Bearer ${member.token}`,
+            Accept: 'text/event-stream',
+            'X-Workspace-Id': workspaceId,
+            'Mcp-Session-Id': sessionId
+        }
+    });
+    assert.strictEqual(stream.status, 200);
+
+    const res = await owner.request('DELETE', `/workspaces/${workspaceId}/members/member`);
+    assert.strictEqual(res.status, 204);
+    await ended(stream);
+    // Even sent with a workspace the user still belongs to, the session stays gone.
+    assert.strictEqual((await ping()).status, 404);
+    assert.strictEqual((await mcp({ jsonrpc: '2.0', id: 3, method: 'ping' }, { 'Mcp-Session-Id': sessionId, 'X-Workspace-Id': '~member' })).status, 404);
+});
+
+test('a session whose user is no longer a member is refused on its next request', async () => {
+    const sessionId = await openSession();
+    // Membership changes without a "left" event; the next request still notices.
+    const record = await workspaces.find(workspaceId, 'owner');
+    record.members = record.members.filter((m) => m !== 'member');
+
+    const res = await mcp({ jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId, 'X-Workspace-Id': '~member' });
+    assert.strictEqual(res.status, 404);
+});
+
+test('the change stream ends when its user leaves or the workspace is deleted', async () => {
+    const open = () => fetch(`${server.url}/events?workspace=${workspaceId}`, {
+        headers: { Authorization: `Bearer ${member.token}`, Accept: 'text/event-stream' }
+    });
+    let stream = await open();
+    assert.strictEqual(stream.status, 200);
+    assert.strictEqual((await member.request('DELETE', `/workspaces/${workspaceId}/members/member`)).status, 204);
+    await ended(stream);
+    assert.strictEqual((await open()).status, 404);
+
+    ({ id: workspaceId } = await workspaces.create('Short-lived', { owner: 'owner' }));
+    const invite = await workspaces.invite(workspaceId, 'member', { username: 'owner' });
+    await workspaces.acceptInvite(invite.id, { username: 'member' });
+    stream = await open();
+    assert.strictEqual(stream.status, 200);
+    assert.strictEqual((await owner.request('DELETE', `/workspaces/${workspaceId}`)).status, 204);
+    await ended(stream);
+});
@@ -0,0 +1,58 @@
+// Storage quotas (lib/quota.js): every way of adding files to a workspace counts against them.
+const { startServer, signIn } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const quota = require('../lib/quota');
+
+let server;
+let request;
+
+test.before(async () => {
+    server = await startServer();
+    ({ request } = await signIn(server.url, 'quotauser'));
+    quota.limits.maxBytes = 10485;
+});
+test.after(() => server.close());
+
+const usedBytes = async () => (await request('GET', '/usage')).body.usage.bytes;
+
+test('writes past the quota are refused with 413 and the current usage', async () => {
+    assert.strictEqual((await request('POST', '/create', { body: { filename: 'one.txt', content: 'x'.repeat(6000) } })).status, 201);
+    const res = await request('POST', '/create', { body: { filename: 'two.txt', content: 'x'.repeat(6000) } });
+    assert.strictEqual(res.status, 413);
+    assert.strictEqual(res.body.code, 'QUOTA_EXCEEDED');
+    assert.strictEqual(res.body.usage.bytes, 6000);
+    assert.strictEqual(res.body.limits.maxBytes, 10485);
+});
+
+test('copies count against the quota', async () => {
+    for (const to of ['copy1.txt', 'copy2.txt', 'copy3.txt']) {
+        const res = await request('POST', '/copy', { body: { from: 'one.txt', to } });
+        assert.strictEqual(res.status, 413, JSON.stringify(res.body));
+    }
+    assert.strictEqual((await request('GET', '/files/copy1.txt')).status, 404);
+    assert.strictEqual(await usedBytes(), 6000);
+
+    // Replacing a larger file frees space, so that copy fits.
+    await request('POST', '/create', { body: { filename: 'small.txt', content: 'y'.repeat(6000 - 4485) } });
+    const res = await request('POST', '/copy', { body: { from: 'small.txt', to: 'one.txt', onConflict: 'overwrite' } });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+});
+
+test('files restored from the trash count against the quota again', async () => {
+    await request('POST', '/create', { body: { filename: 'big.txt', content: 'z'.repeat(5000), overwrite: true } });
+    await request('POST', '/delete', { body: { filename: 'one.txt' } });
+    const deleted = await request('POST', '/delete', { body: { filename: 'big.txt' } });
+    assert.strictEqual(deleted.status, 200, JSON.stringify(deleted.body));
+    await request('POST', '/create', { body: { filename: 'new.txt', content: 'n'.repeat(8000) } });
+
+    const { body } = await request('GET', '/trash');
+    const { id } = body.entries.find((entry) => entry.path === 'big.txt');
+    let res = await request('POST', '/trash/restore', { body: { id } });
+    assert.strictEqual(res.status, 413, JSON.stringify(res.body));
+    assert.strictEqual((await request('GET', '/files/big.txt')).status, 404);
+
+    await request('POST', '/delete', { body: { filename: 'new.txt' } });
+    res = await request('POST', '/trash/restore', { body: { id } });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+});
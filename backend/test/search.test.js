@@ -0,0 +1,73 @@
+// The search index (lib/searchIndex.js) may only narrow a search: indexed and unindexed
+// searches must find the same files.
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScope } = require('../lib/workspace');
+const searchIndex = require('../lib/searchIndex');
+const { search } = require('../lib/search');
+
+const ws = createScope({ id: 'search-test', dir: 'search-test' });
+
+const FILES = {
+    'letters.txt': 'ABCD and more\nplain hello world\n',
+    'control.txt': '\x01hello after a control character\n',
+    'config.json': '{ "name": "foo.bar", "port": 8080 }\n',
+    'notes/todo.md': 'TODO: call 0041 back\nabcabc repeated\n'
+};
+
+// Regex queries whose escapes are not plain text.
+const QUERIES = [
+    '\\u0041BCD',
+    '\\x41BCD',
+    '\\u{41}',
+    '\\cAhello',
+    '(?<w>abc)\\k<w> repeated',
+    '\\p{L}BCD',
+    'foo\\.bar',
+    '\\d{4} back',
+    '\\x41?BCD',
+    'port": \\d+'
+];
+
+const matchingFiles = async (query) => {
+    const files = [];
+    let summary;
+    for await (const result of search(ws, { query, regex: true })) {
+        if (result.type === 'file') files.push(result.path);
+        else summary = result;
+    }
+    return { files: files.sort(), indexed: summary.indexed };
+};
+
+test.before(async () => {
+    for (const [filename, content] of Object.entries(FILES)) await ws.createFile(filename, content);
+});
+
+test('escapes are never taken as literal text', () => {
+    assert.deepStrictEqual(searchIndex.requiredLiterals('\\u0041BCD', true), ['bcd']);
+    assert.deepStrictEqual(searchIndex.requiredLiterals('\\x41BCD', true), ['bcd']);
+    assert.deepStrictEqual(searchIndex.requiredLiterals('\\u{41}BCD', true), ['bcd']);
+    assert.deepStrictEqual(searchIndex.requiredLiterals('\\cAhello', true), ['hello']);
+    assert.deepStrictEqual(searchIndex.requiredLiterals('\\k<name>abc', true), ['abc']);
+    assert.deepStrictEqual(searchIndex.requiredLiterals('\\p{Lu}abc', true), ['abc']);
+    assert.deepStrictEqual(searchIndex.requiredLiterals('\\012abc', true), ['abc']);
+    assert.deepStrictEqual(searchIndex.requiredLiterals('foo\\.bar', true), ['foo.bar']);
+});
+
+test('indexed searches find the same files as unindexed ones', async () => {
+    const unindexed = {};
+    for (const query of QUERIES) {
+        unindexed[query] = await matchingFiles(query);
+        assert.strictEqual(unindexed[query].indexed, false);
+    }
+    await searchIndex.rebuild();
+    for (const query of QUERIES) {
+        const indexed = await matchingFiles(query);
+        assert.deepStrictEqual(indexed.files, unindexed[query].files, query);
+    }
+    // Sanity check: the index is used, and the queries do match something.
+    assert.strictEqual((await matchingFiles('\\u0041BCD')).indexed, true);
+    assert.deepStrictEqual(unindexed['\\u0041BCD'].files, ['letters.txt']);
+    assert.deepStrictEqual(unindexed['\\cAhello'].files, ['control.txt']);
+});
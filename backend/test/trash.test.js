@@ -0,0 +1,60 @@
+// Restoring from the trash (routes/trash.js) over whatever now takes the original path.
+const { startServer, signIn } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+let server;
+let request;
+
+test.before(async () => {
+    server = await startServer();
+    ({ request } = await signIn(server.url, 'trasher'));
+});
+test.after(() => server.close());
+
+const write = async (filename, content) => {
+    const res = await request('POST', '/create', { body: { filename, content, overwrite: true } });
+    assert.ok(res.status === 200 || res.status === 201, JSON.stringify(res.body));
+};
+
+const trashDirectory = async (dirname) => {
+    const res = await request('POST', '/rmdir', { body: { path: dirname, recursive: true, confirm: true } });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    return res.body.trashId;
+};
+
+test('a directory restored with overwrite replaces the one now there, keeping its files in history', async () => {
+    await write('docs/a.txt', 'deleted');
+    const id = await trashDirectory('docs');
+    await write('docs/a.txt', 'newer');
+    await write('docs/b.txt', 'only in the newer folder');
+
+    const res = await request('POST', '/trash/restore', { body: { id, onConflict: 'overwrite' } });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    assert.strictEqual((await request('GET', '/files/docs/a.txt')).body, 'deleted');
+    assert.strictEqual((await request('GET', '/files/docs/b.txt')).status, 404);
+    for (const filename of ['docs/a.txt', 'docs/b.txt']) {
+        const { body } = await request('GET', `/history?path=${filename}`);
+        assert.strictEqual(body.versions[0].reason, 'restore', filename);
+    }
+});
+
+test('a directory restored without a conflict comes back as it was', async () => {
+    await write('notes/n.txt', 'note');
+    const id = await trashDirectory('notes');
+    const res = await request('POST', '/trash/restore', { body: { id } });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    assert.strictEqual((await request('GET', '/files/notes/n.txt')).body, 'note');
+});
+
+test('a file is never restored over a directory', async () => {
+    await write('plan.txt', 'plan');
+    const deleted = await request('POST', '/delete', { body: { filename: 'plan.txt' } });
+    assert.strictEqual(deleted.status, 200, JSON.stringify(deleted.body));
+    await write('plan.txt/inner.txt', 'inner');
+    const { body } = await request('GET', '/trash');
+    const { id } = body.entries.find((entry) => entry.path === 'plan.txt');
+    const res = await request('POST', '/trash/restore', { body: { id, onConflict: 'overwrite' } });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual((await request('GET', '/files/plan.txt/inner.txt')).body, 'inner');
+});
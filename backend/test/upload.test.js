@@ -0,0 +1,89 @@
+// Multipart uploads (POST /upload): files only replace existing ones once fully received.
+const { startServer, signIn } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const quota = require('../lib/quota');
+
+let server;
+let token;
+let request;
+
+test.before(async () => {
+    server = await startServer();
+    ({ token, request } = await signIn(server.url, 'multipart'));
+});
+test.after(() => server.close());
+
+// files: { [relativePath]: content }
+const upload = async (files, { onConflict } = {}) => {
+    const form = new FormData();
+    Object.entries(files).forEach(([name, content]) => form.append('files', new Blob([content]), name));
+    const res = await fetch(`${server.url}/upload${onConflict ? `?onConflict=${onConflict}` : ''}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: form
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+const content = async (filename) => {
+    const res = await request('GET', `/files/${filename}`);
+    return res.status === 200 ? res.body : null;
+};
+
+test('an uploaded file overwrites the existing one', async () => {
+    assert.strictEqual((await upload({ 'docs/a.txt': 'first' })).status, 200);
+    const res = await upload({ 'docs/a.txt': 'second' });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    assert.deepStrictEqual(res.body.results, [{ path: 'docs/a.txt', status: 'overwritten' }]);
+    assert.strictEqual(await content('docs/a.txt'), 'second');
+});
+
+test('a failed upload leaves the files it would have overwritten intact', async () => {
+    assert.strictEqual((await upload({ 'keep.txt': 'original' })).status, 200);
+    const { maxFileSize } = quota.limits;
+    quota.limits.maxFileSize = 20;
+    try {
+        const res = await upload({ 'keep.txt': 'replacement', 'big.bin': 'x'.repeat(100) });
+        assert.strictEqual(res.status, 413, JSON.stringify(res.body));
+    } finally {
+        quota.limits.maxFileSize = maxFileSize;
+    }
+    assert.strictEqual(await content('keep.txt'), 'original');
+    assert.strictEqual(await content('big.bin'), null);
+});
+
+test('onConflict=fail writes nothing when any file exists', async () => {
+    assert.strictEqual((await upload({ 'taken.txt': 'original' })).status, 200);
+    const res = await upload({ 'new.txt': 'new', 'taken.txt': 'replacement' }, { onConflict: 'fail' });
+    assert.strictEqual(res.status, 409);
+    assert.deepStrictEqual(res.body.conflicts, ['taken.txt']);
+    assert.strictEqual(await content('taken.txt'), 'original');
+    assert.strictEqual(await content('new.txt'), null);
+});
+
+test('ignore files in the upload apply to the files sent with them', async () => {
+    const res = await upload({ 'proj/a.log': 'log', 'proj/keep.txt': 'keep', 'proj/.gitignore': '*.log\n' });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    assert.deepStrictEqual(res.body.results, [
+        { path: 'proj/.gitignore', status: 'created' },
+        { path: 'proj/a.log', status: 'ignored', ignoredPath: 'proj/a.log' },
+        { path: 'proj/keep.txt', status: 'created' }
+    ]);
+    assert.strictEqual(await content('proj/a.log'), null);
+});
+
+test('POST /upload/ignore tells which files an upload would leave out', async () => {
+    const res = await request('POST', '/upload/ignore', {
+        body: {
+            paths: ['app/node_modules/x/index.js', 'app/debug.log', 'app/keep.log', 'app/src/main.js'],
+            ignoreFiles: { 'app/.gitignore': '*.log\n', 'app/.mcpignore': '!keep.log\n' }
+        }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.ignored, [
+        { path: 'app/node_modules/x/index.js', ignoredPath: 'app/node_modules' },
+        { path: 'app/debug.log', ignoredPath: 'app/debug.log' }
+    ]);
+    assert.strictEqual((await request('POST', '/upload/ignore', { body: { paths: 'a.txt' } })).status, 400);
+});
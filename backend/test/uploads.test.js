@@ -0,0 +1,104 @@
+// Resumable uploads over tus (routes/uploads.js): offsets, checksums and completion.
+const { startServer, signIn } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const TUS = { 'Tus-Resumable': '1.0.0' };
+const CHUNK = { ...TUS, 'Content-Type': 'application/offset+octet-stream' };
+
+let server;
+let request;
+
+test.before(async () => {
+    server = await startServer();
+    ({ request } = await signIn(server.url, 'uploader'));
+});
+test.after(() => server.close());
+
+const metadata = (fields) => Object.entries(fields)
+    .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+    .join(',');
+
+const createUpload = async (filename, length) => {
+    const res = await request('POST', '/uploads', {
+        headers: { ...TUS, 'Upload-Length': String(length), 'Upload-Metadata': metadata({ filename }) }
+    });
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    return new URL(res.headers.get('Location'), server.url).pathname;
+};
+
+const patch = (location, offset, chunk, headers = {}) => request('PATCH', location, {
+    body: Buffer.from(chunk),
+    headers: { ...CHUNK, 'Upload-Offset': String(offset), ...headers }
+});
+
+test('chunks are appended at the current offset until the file is complete', async () => {
+    const location = await createUpload('tus/hello.txt', 11);
+
+    let res = await patch(location, 0, 'hello ');
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(res.headers.get('Upload-Offset'), '6');
+
+    res = await request('HEAD', location, { headers: TUS });
+    assert.strictEqual(res.headers.get('Upload-Offset'), '6');
+    assert.strictEqual(res.headers.get('Upload-Length'), '11');
+
+    res = await patch(location, 6, 'world');
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(res.headers.get('Upload-Offset'), '11');
+    assert.strictEqual(res.headers.get('Upload-Result'), 'created');
+
+    res = await request('GET', '/files/tus/hello.txt');
+    assert.strictEqual(res.body, 'hello world');
+});
+
+test('a chunk at the wrong offset is refused with 409 and the current offset', async () => {
+    const location = await createUpload('tus/offset.txt', 10);
+    await patch(location, 0, 'abc');
+
+    for (const offset of [0, 5]) {
+        const res = await patch(location, offset, 'xyz');
+        assert.strictEqual(res.status, 409);
+        assert.strictEqual(res.body.code, 'OFFSET_MISMATCH');
+        assert.strictEqual(res.body.offset, 3);
+    }
+    const res = await request('HEAD', location, { headers: TUS });
+    assert.strictEqual(res.headers.get('Upload-Offset'), '3');
+});
+
+test('a chunk that fails its checksum is dropped with 460', async () => {
+    const location = await createUpload('tus/checksum.txt', 6);
+    const digest = (text) => crypto.createHash('sha1').update(text).digest('base64');
+
+    let res = await patch(location, 0, 'abc', { 'Upload-Checksum': `sha1 ${digest('xyz')}` });
+    assert.strictEqual(res.status, 460);
+    res = await request('HEAD', location, { headers: TUS });
+    assert.strictEqual(res.headers.get('Upload-Offset'), '0');
+
+    res = await patch(location, 0, 'abc', { 'Upload-Checksum': `sha1 ${digest('abc')}` });
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(res.headers.get('Upload-Offset'), '3');
+});
+
+test('a chunk past Upload-Length is refused and nothing of it is kept', async () => {
+    const location = await createUpload('tus/long.txt', 4);
+    const res = await patch(location, 0, 'too long');
+    assert.strictEqual(res.status, 413);
+    assert.strictEqual(res.body.code, 'UPLOAD_TOO_LARGE');
+    const head = await request('HEAD', location, { headers: TUS });
+    assert.strictEqual(head.headers.get('Upload-Offset'), '0');
+});
+
+test('requests without the supported Tus-Resumable version get 412', async () => {
+    const res = await request('POST', '/uploads', { headers: { 'Upload-Length': '1' } });
+    assert.strictEqual(res.status, 412);
+    assert.strictEqual(res.body.code, 'TUS_VERSION_UNSUPPORTED');
+});
+
+test('uploads belong to the user who created them', async () => {
+    const location = await createUpload('tus/mine.txt', 3);
+    const { request: other } = await signIn(server.url, 'someone-else');
+    const res = await other('HEAD', location, { headers: TUS });
+    assert.strictEqual(res.status, 404);
+});
@@ -0,0 +1,116 @@
+// Path sandboxing and optimistic concurrency in lib/workspace.js.
+const { TEST_ROOT } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createScope, hashOf, versionOf } = require('../lib/workspace');
+
+const ws = createScope({ id: 'test', dir: 'ws' });
+
+const rejects = (filename, code) => assert.throws(() => ws.resolvePath(filename), (err) => err.code === code, filename);
+
+test('resolvePath keeps relative paths inside the workspace', () => {
+    assert.strictEqual(ws.resolvePath('a/b.txt'), path.join(ws.root, 'a', 'b.txt'));
+    assert.strictEqual(ws.resolvePath('a/../b.txt'), path.join(ws.root, 'b.txt'));
+    assert.strictEqual(ws.resolvePath(''), ws.root);
+});
+
+test('resolvePath rejects ".." that leaves the workspace', () => {
+    rejects('..', 'PATH_OUTSIDE_WORKSPACE');
+    rejects('../other/file.txt', 'PATH_OUTSIDE_WORKSPACE');
+    rejects('a/../../file.txt', 'PATH_OUTSIDE_WORKSPACE');
+});
+
+test('resolvePath rejects absolute paths', () => {
+    rejects('/etc/passwd', 'PATH_OUTSIDE_WORKSPACE');
+    rejects('C:\\Windows\\win.ini', 'PATH_OUTSIDE_WORKSPACE');
+    rejects('\\\\server\\share', 'PATH_OUTSIDE_WORKSPACE');
+});
+
+test('resolvePath rejects NUL bytes and non-strings', () => {
+    rejects('a\0.txt', 'INVALID_PATH');
+    rejects(undefined, 'INVALID_PATH');
+    rejects({ path: 'a' }, 'INVALID_PATH');
+});
+
+test('resolvePath rejects symlinks that lead outside the workspace', () => {
+    const outside = fs.mkdtempSync(path.join(TEST_ROOT, 'outside-'));
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+    fs.symlinkSync(outside, path.join(ws.root, 'escape'));
+    fs.symlinkSync(path.join(TEST_ROOT, 'missing'), path.join(ws.root, 'dangling'));
+    fs.mkdirSync(path.join(ws.root, 'real'), { recursive: true });
+    fs.symlinkSync(path.join(ws.root, 'real'), path.join(ws.root, 'inside'));
+
+    rejects('escape/secret.txt', 'PATH_OUTSIDE_WORKSPACE');
+    rejects('escape/new.txt', 'PATH_OUTSIDE_WORKSPACE');
+    rejects('dangling', 'PATH_OUTSIDE_WORKSPACE');
+    assert.strictEqual(ws.resolvePath('inside/file.txt'), path.join(ws.root, 'inside', 'file.txt'));
+});
+
+test('createFile refuses to replace a file unless asked to', async () => {
+    await ws.createFile('create.txt', 'one');
+    await assert.rejects(ws.createFile('create.txt', 'two'), { code: 'EEXIST' });
+    const { created } = await ws.createFile('create.txt', 'two', { overwrite: true });
+    assert.strictEqual(created, false);
+    assert.strictEqual(await ws.readFile('create.txt'), 'two');
+});
+
+test('editFile accepts the current version and rejects a stale one with 412', async () => {
+    const { version: first } = await ws.createFile('edit.txt', 'first');
+    const { version: second } = await ws.editFile('edit.txt', 'second', { expectedVersion: first });
+    assert.notStrictEqual(second, first);
+
+    await assert.rejects(ws.editFile('edit.txt', 'lost update', { expectedVersion: first }), (err) => {
+        assert.strictEqual(err.status, 412);
+        assert.strictEqual(err.code, 'VERSION_CONFLICT');
+        assert.strictEqual(err.details.currentVersion, second);
+        assert.strictEqual(err.details.currentContent, 'second');
+        return true;
+    });
+    assert.strictEqual(await ws.readFile('edit.txt'), 'second');
+});
+
+test('versions are content hashes, so same-size edits with the same mtime still conflict', async () => {
+    const { version: first } = await ws.createFile('hash.txt', 'aaaa');
+    assert.strictEqual(first, hashOf(Buffer.from('aaaa')));
+    const { mtime } = fs.statSync(ws.resolvePath('hash.txt'));
+    await ws.editFile('hash.txt', 'bbbb', { expectedVersion: first });
+    fs.utimesSync(ws.resolvePath('hash.txt'), mtime, mtime);
+
+    await assert.rejects(ws.editFile('hash.txt', 'cccc', { expectedVersion: first }), { status: 412 });
+    // The quoted ETag form that GET /files/<path> sends is accepted too.
+    await ws.editFile('hash.txt', 'cccc', { expectedVersion: `"${hashOf(Buffer.from('bbbb'))}"` });
+    assert.strictEqual(await ws.readFile('hash.txt'), 'cccc');
+});
+
+test('versionOf hashes a file again only after it changed', async () => {
+    await ws.createFile('cached.txt', 'aaaa');
+    const filePath = ws.resolvePath('cached.txt');
+    const { createReadStream } = fs;
+    let reads = 0;
+    fs.createReadStream = (...args) => {
+        reads++;
+        return createReadStream(...args);
+    };
+    try {
+        // Written through the workspace, the version is known without reading the file.
+        assert.strictEqual(await versionOf(filePath), hashOf(Buffer.from('aaaa')));
+        assert.strictEqual(await versionOf(filePath), hashOf(Buffer.from('aaaa')));
+        assert.strictEqual(reads, 0);
+
+        // Changed behind its back, even with the old size and mtime, it is read again once.
+        const { mtime } = fs.statSync(filePath);
+        fs.writeFileSync(filePath, 'bbbb');
+        fs.utimesSync(filePath, mtime, mtime);
+        assert.strictEqual(await versionOf(filePath), hashOf(Buffer.from('bbbb')));
+        assert.strictEqual(await versionOf(filePath), hashOf(Buffer.from('bbbb')));
+        assert.strictEqual(reads, 1);
+    } finally {
+        fs.createReadStream = createReadStream;
+    }
+});
+
+test('editFile without a version fails for a missing file', async () => {
+    await assert.rejects(ws.editFile('missing.txt', 'x'), { code: 'ENOENT' });
+});
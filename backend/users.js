@@ -0,0 +1,61 @@
+// users.js
+// Manage web app accounts from the command line:
+//   npm run users -- add <username> [role]   (prompts for the password; role defaults to editor)
+//   npm run users -- passwd <username>
+//   npm run users -- role <username> <viewer|editor|admin>
+//   npm run users -- remove <username>
+//   npm run users -- list
+// A running server picks the changes up with its next request: a new password signs the
+// user out, and a removed user's sessions and tokens stop working.
+const readline = require('readline');
+const { Writable } = require('stream');
+const auth = require('./lib/auth');
+
+// Asks for a password without echoing it. On a terminal readline takes over echoing, so
+// muting its output hides the typed characters; piped input is never echoed anyway.
+const prompt = (question) => new Promise((resolve) => {
+    const muted = new Writable({
+        write: (chunk, encoding, callback) => callback()
+    });
+    const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: Boolean(process.stdin.isTTY) });
+    process.stderr.write(question);
+    rl.question('', (answer) => {
+        rl.close();
+        process.stderr.write('\n');
+        resolve(answer);
+    });
+});
+
+const commands = {
+    add: async (username, role) => {
+        const user = await auth.createUser(username, await prompt(`Password for ${username}: `), { role });
+        console.log(`Created user ${username} (${user.role})`);
+    },
+    passwd: async (username) => {
+        await auth.setPassword(username, await prompt(`New password for ${username}: `));
+        console.log(`Changed password of ${username}; their sessions were signed out`);
+    },
+    role: async (username, role) => {
+        await auth.setRole(username, role);
+        console.log(`${username} is now ${role}`);
+    },
+    remove: async (username) => {
+        await auth.deleteUser(username);
+        console.log(`Removed user ${username} with their sessions and tokens`);
+    },
+    list: async () => {
+        (await auth.listUsers()).forEach(({ username, role, createdAt }) => console.log(`${username}\t${role}\t${createdAt}`));
+    }
+};
+
+const [command, username, role] = process.argv.slice(2);
+
+if (!commands[command] || (command !== 'list' && !username) || (command === 'role' && !role)) {
+    console.error('Usage: node users.js add <username> [role] | passwd|remove <username> | role <username> <role> | list');
+    process.exit(1);
+}
+
+commands[command](username, role).catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
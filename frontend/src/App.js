@@ -1,53 +1,506 @@
 import './App.css';
-import React, { useState } from 'react';
-import { uploadFiles, createFile, editFile, deleteFile } from './mcpClient';
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+    startResumable,
+    sendResumable,
+    cancelResumable,
+    pendingUploads,
+    downloadArchive,
+    uploadArchive,
+    createFile,
+    editFile,
+    deleteFile,
+    readFile,
+    errorCode,
+    login,
+    logout,
+    currentUser,
+    isSignedIn,
+    onAuthRequired,
+    getWorkspace,
+    setWorkspace,
+    listWorkspaces,
+    createWorkspace,
+    inviteToWorkspace,
+    listInvites,
+    acceptInvite,
+    declineInvite,
+    getUsage
+} from './mcpClient';
+import { filterIgnored } from './ignore';
+
+const ERROR_MESSAGES = {
+    FILE_EXISTS: 'A file with that name already exists.',
+    FILE_NOT_FOUND: 'The file does not exist.',
+    IS_A_DIRECTORY: 'That path is a folder, not a file.',
+    NOT_A_DIRECTORY: 'Part of that path is a file, not a folder.',
+    PERMISSION_DENIED: 'The server is not allowed to access that file.',
+    INSUFFICIENT_STORAGE: 'The server is out of disk space.',
+    INVALID_PATH: 'The filename is not valid.',
+    PATH_OUTSIDE_WORKSPACE: 'The filename points outside the workspace.',
+    INVALID_CREDENTIALS: 'Wrong username or password.',
+    AUTH_REQUIRED: 'Please sign in.',
+    INVALID_TOKEN: 'Your session has expired. Please sign in again.',
+    ACCESS_DENIED: 'You do not have permission to do that.',
+    WORKSPACE_NOT_FOUND: 'That workspace does not exist or you are not a member.',
+    USER_NOT_FOUND: 'There is no user with that name.',
+    ALREADY_MEMBER: 'That user is already a member.',
+    PATH_IGNORED: 'That file is excluded by the upload ignore rules.',
+    QUOTA_EXCEEDED: 'The workspace is out of space.',
+    FILE_TOO_LARGE: 'The file is larger than the server allows.',
+    TOO_MANY_FILES: 'Too many files for a single upload.',
+    INVALID_ARCHIVE: 'The archive is damaged or not an archive.',
+    UNSUPPORTED_ARCHIVE: 'Only unencrypted .zip and .tar.gz archives can be extracted.',
+    UNSAFE_ARCHIVE_ENTRY: 'The archive contains links or paths outside its folder, so nothing was extracted.',
+    ARCHIVE_TOO_LARGE: 'The archive is too large.',
+    COMPRESSION_RATIO_EXCEEDED: 'The archive expands to far more than its own size, so nothing was extracted.',
+    NETWORK_ERROR: 'The server could not be reached.'
+};
+
+const describeError = (err) => {
+    const code = errorCode(err);
+    const data = (err.response && err.response.data) || {};
+    const message = ERROR_MESSAGES[code] || data.error;
+    // Point at the rule that denied access, so the user knows whom to ask.
+    const rule = code === 'ACCESS_DENIED' && data.rule
+        ? ` Denied by ${data.rule.path ? `the rule on /${data.rule.path}` : `the ${data.rule.role} role`}.`
+        : '';
+    return `${message || 'Unexpected error.'}${rule} (${code})`;
+};
+
+const LoginForm = ({ onLogin }) => {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            onLogin(await login(username, password));
+        } catch (err) {
+            setPassword('');
+            setError(describeError(err));
+        }
+    };
+
+    return (
+        <div className="app-container">
+            <form className="card" onSubmit={handleSubmit}>
+                <h1 className="heading">Sign In</h1>
+
+                <label className="label">Username:</label>
+                <input
+                    type="text"
+                    autoComplete="username"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    className="input"
+                />
+
+                <label className="label">Password:</label>
+                <input
+                    type="password"
+                    autoComplete="current-password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="input"
+                />
+
+                {error && <p className="login-error">❌ {error}</p>}
+
+                <button type="submit" className="button upload">Sign In</button>
+            </form>
+        </div>
+    );
+};
+
+// Picks the workspace every file operation goes to, and handles shared workspaces and invites.
+const WorkspaceSwitcher = ({ user, onSwitch }) => {
+    const [workspaces, setWorkspaces] = useState([]);
+    const [invites, setInvites] = useState([]);
+    const [current, setCurrent] = useState(getWorkspace() || `~${user.username}`);
+
+    const refresh = useCallback(async () => {
+        const [workspacesResponse, invitesResponse] = await Promise.all([listWorkspaces(), listInvites()]);
+        setWorkspaces(workspacesResponse.data.workspaces);
+        setInvites(invitesResponse.data.invites);
+        return workspacesResponse.data.workspaces;
+    }, []);
+
+    const switchTo = (id) => {
+        setWorkspace(id);
+        setCurrent(id);
+        onSwitch();
+    };
+
+    useEffect(() => {
+        refresh().then((list) => {
+            // The remembered workspace may have been deleted, or we were removed from it.
+            if (!list.some((workspace) => workspace.id === getWorkspace())) setWorkspace(null);
+            setCurrent(getWorkspace() || `~${user.username}`);
+        }).catch((err) => alert(`❌ Loading workspaces failed: ${describeError(err)}`));
+    }, [refresh, user.username]);
+
+    const handleCreate = async () => {
+        const name = window.prompt('Name of the new shared workspace:');
+        if (!name) return;
+        try {
+            const response = await createWorkspace(name);
+            await refresh();
+            switchTo(response.data.id);
+        } catch (err) {
+            alert(`❌ Create workspace failed: ${describeError(err)}`);
+        }
+    };
+
+    const handleInvite = async () => {
+        const username = window.prompt('Username to invite:');
+        if (!username) return;
+        try {
+            await inviteToWorkspace(current, username);
+            alert(`✅ Invited ${username}.`);
+        } catch (err) {
+            alert(`❌ Invite failed: ${describeError(err)}`);
+        }
+    };
+
+    const handleInviteResponse = async (invite, accept) => {
+        try {
+            if (accept) await acceptInvite(invite.id);
+            else await declineInvite(invite.id);
+            await refresh();
+            if (accept) switchTo(invite.workspace);
+        } catch (err) {
+            alert(`❌ ${describeError(err)}`);
+        }
+    };
+
+    const currentWorkspace = workspaces.find((workspace) => workspace.id === current);
+    const canInvite = currentWorkspace && currentWorkspace.kind === 'shared' && currentWorkspace.owner === user.username;
+
+    return (
+        <div className="section">
+            <label className="label">Workspace:</label>
+            <select value={current} onChange={(e) => switchTo(e.target.value)} className="input">
+                {workspaces.map((workspace) => (
+                    <option key={workspace.id} value={workspace.id}>
+                        {workspace.kind === 'personal' ? `${workspace.name} (personal)` : workspace.name}
+                    </option>
+                ))}
+            </select>
+            <div className="button-group">
+                <button onClick={handleCreate} className="button open">New Shared Workspace</button>
+                {canInvite && <button onClick={handleInvite} className="button create">Invite</button>}
+            </div>
+            {invites.map((invite) => (
+                <div key={invite.id} className="invite">
+                    <span>{invite.invitedBy} invited you to <strong>{invite.workspaceName}</strong></span>
+                    <button onClick={() => handleInviteResponse(invite, true)} className="link-button">Accept</button>
+                    <button onClick={() => handleInviteResponse(invite, false)} className="link-button">Decline</button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return `${Math.round(value * 10) / 10} ${units[unit]}`;
+};
+
+// Ignored files grouped by what ignored them, e.g. [['app/node_modules', 8532], ['.DS_Store', 1]].
+const ignoredGroups = (results) => {
+    const counts = new Map();
+    results.filter((result) => result.status === 'ignored')
+        .forEach(({ ignoredPath }) => counts.set(ignoredPath, (counts.get(ignoredPath) || 0) + 1));
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+};
+
+// e.g. "12 created, 1 renamed, 530 ignored"
+const summarizeResults = (results) => {
+    const counts = new Map();
+    results.forEach(({ status }) => counts.set(status, (counts.get(status) || 0) + 1));
+    return Array.from(counts.entries()).map(([status, count]) => `${count} ${status}`).join(', ');
+};
+
+const RESULT_DESCRIPTIONS = {
+    overwritten: () => 'overwritten (the old version is in its history)',
+    renamed: (result) => `already existed, saved as ${result.savedAs}`,
+    skipped: () => 'already existed, skipped',
+    conflict: () => 'already exists'
+};
+
+// Storage used by the current workspace against its quota; reloads whenever refreshKey changes.
+const UsageMeter = ({ refreshKey }) => {
+    const [report, setReport] = useState(null);
+
+    useEffect(() => {
+        getUsage().then((response) => setReport(response.data), () => setReport(null));
+    }, [refreshKey]);
+
+    if (!report) return null;
+    const { usage, limits } = report;
+    return (
+        <div className="usage">
+            {limits.maxBytes > 0 && <meter min="0" max={limits.maxBytes} high={limits.maxBytes * 0.9} value={usage.bytes} />}
+            <span>
+                {formatBytes(usage.bytes)}{limits.maxBytes > 0 && ` of ${formatBytes(limits.maxBytes)}`} used,{' '}
+                {usage.files}{limits.maxFiles > 0 && ` of ${limits.maxFiles}`} files
+            </span>
+        </div>
+    );
+};
 
 const App = () => {
+    // undefined while the stored session is being checked, null when signed out.
+    const [user, setUser] = useState(isSignedIn() ? undefined : null);
     const [selectedFiles, setSelectedFiles] = useState([]);
     const [filename, setFilename] = useState('');
     const [content, setContent] = useState('');
+    // Server version (ETag) of the open file, sent with edits to detect concurrent changes.
+    const [version, setVersion] = useState(null);
+    const [conflict, setConflict] = useState(null);
+    // Bumped after every write so the usage meter reloads.
+    const [usageKey, setUsageKey] = useState(0);
+    const refreshUsage = () => setUsageKey((key) => key + 1);
+    // { done, total, path, percent } while a folder upload is running.
+    const [uploadProgress, setUploadProgress] = useState(null);
+    const [unfinishedUploads, setUnfinishedUploads] = useState(pendingUploads());
+    // What happens to files that already exist: overwrite, skip, rename or fail.
+    const [onConflict, setOnConflict] = useState('overwrite');
+    // What happened to each file of the last upload: { path, status, savedAs?, ignoredPath? }.
+    const [uploadResults, setUploadResults] = useState([]);
+    const [archiveFile, setArchiveFile] = useState(null);
+    const [extractPath, setExtractPath] = useState('');
+    // Comma-separated files and folders to download; empty for the whole workspace.
+    const [downloadPaths, setDownloadPaths] = useState('');
+    const [downloadFormat, setDownloadFormat] = useState('zip');
+
+    useEffect(() => {
+        onAuthRequired(() => setUser(null));
+        if (isSignedIn()) {
+            currentUser().then(setUser, () => setUser(null));
+        }
+    }, []);
 
+    const handleLogout = async () => {
+        try {
+            await logout();
+        } finally {
+            setUser(null);
+        }
+    };
+
+    // The open file belongs to the previous workspace.
+    const handleWorkspaceSwitch = () => {
+        setFilename('');
+        setContent('');
+        setVersion(null);
+        setConflict(null);
+        setUnfinishedUploads(pendingUploads());
+        refreshUsage();
+    };
+
+    const handleFilenameChange = (value) => {
+        setFilename(value);
+        setVersion(null);
+        setConflict(null);
+    };
+
+    // Ignored files (node_modules, .git, ...) are left out first. Then every upload is
+    // started before any bytes are sent, so conflicts and the server's own ignore rules
+    // are known up front and "fail" can stop the batch before anything is written. Files go
+    // up one at a time in resumable chunks; after an interruption, uploading the same
+    // folder again skips what the server already has.
     const handleUpload = async () => {
+        const results = [];
+        try {
+            const { files, skipped } = await filterIgnored(Array.from(selectedFiles));
+            results.push(...skipped.map((entry) => ({ ...entry, status: 'ignored' })));
+
+            const started = [];
+            const conflicts = [];
+            for (const [index, file] of files.entries()) {
+                const path = file.webkitRelativePath || file.name;
+                setUploadProgress({ action: 'Checking', done: index, total: files.length, path, percent: 0 });
+                try {
+                    started.push(await startResumable(file, { onConflict }));
+                } catch (err) {
+                    const code = errorCode(err);
+                    if (code === 'PATH_IGNORED') {
+                        results.push({ path, status: 'ignored', ignoredPath: err.response.data.ignoredPath });
+                    } else if (code === 'FILE_EXISTS' && onConflict === 'skip') {
+                        results.push({ path, status: 'skipped' });
+                    } else if (code === 'FILE_EXISTS') {
+                        conflicts.push({ path, status: 'conflict' });
+                    } else {
+                        throw err;
+                    }
+                }
+            }
+            if (conflicts.length) {
+                await Promise.all(started.map(cancelResumable));
+                results.push(...conflicts);
+                alert(`❌ ${conflicts.length} file(s) already exist, so nothing was uploaded.`);
+                return;
+            }
+
+            for (const [index, upload] of started.entries()) {
+                const progress = { action: 'Uploading', done: index, total: started.length, path: upload.path };
+                setUploadProgress({ ...progress, percent: 0 });
+                results.push(await sendResumable(upload, {
+                    onProgress: (sent, size) => setUploadProgress({ ...progress, percent: Math.round((sent / size) * 100) })
+                }));
+            }
+            alert(`✅ Folder uploaded: ${summarizeResults(results)}.`);
+        } catch (err) {
+            alert(`❌ Upload failed: ${describeError(err)}. Upload the folder again to resume.`);
+        } finally {
+            setUploadResults(results);
+            setUploadProgress(null);
+            setUnfinishedUploads(pendingUploads());
+            refreshUsage();
+        }
+    };
+
+    // The server checks the whole archive before extracting anything, so a refused archive
+    // leaves the workspace as it was.
+    const handleExtract = async () => {
+        let results = [];
         try {
-            await uploadFiles(Array.from(selectedFiles));
-            alert('✅ Folder uploaded successfully!');
+            const progress = { action: 'Uploading', done: 0, total: 1, path: archiveFile.name };
+            setUploadProgress({ ...progress, percent: 0 });
+            const response = await uploadArchive(archiveFile, {
+                path: extractPath.trim(),
+                onConflict,
+                onProgress: (sent, size) => setUploadProgress({ ...progress, percent: Math.round((sent / size) * 100) })
+            });
+            results = response.data.results;
+            alert(`✅ Archive extracted: ${summarizeResults(results)}.`);
         } catch (err) {
-            alert('❌ Upload failed.');
+            const conflicts = errorCode(err) === 'FILE_EXISTS' ? err.response.data.conflicts || [] : [];
+            results = conflicts.map((path) => ({ path, status: 'conflict' }));
+            alert(`❌ Extract failed: ${describeError(err)}`);
+        } finally {
+            setUploadResults(results);
+            setUploadProgress(null);
+            refreshUsage();
+        }
+    };
+
+    const handleOpen = async () => {
+        try {
+            const response = await readFile(filename);
+            setContent(response.data);
+            setVersion(response.headers.etag || null);
+            setConflict(null);
+        } catch (err) {
+            alert(`❌ Open failed: ${describeError(err)}`);
         }
     };
 
     const handleCreate = async () => {
         try {
-            await createFile(filename, content);
+            const response = await createFile(filename, content);
+            setVersion(response.data.version);
+            refreshUsage();
             alert('✅ File created successfully!');
         } catch (err) {
-            alert('❌ Create failed.');
+            if (errorCode(err) === 'FILE_EXISTS' && window.confirm(`${filename} already exists. Overwrite it?`)) {
+                try {
+                    const response = await createFile(filename, content, { overwrite: true });
+                    setVersion(response.data.version);
+                    refreshUsage();
+                    alert('✅ File overwritten successfully!');
+                } catch (overwriteErr) {
+                    alert(`❌ Create failed: ${describeError(overwriteErr)}`);
+                }
+                return;
+            }
+            alert(`❌ Create failed: ${describeError(err)}`);
         }
     };
 
-    const handleEdit = async () => {
+    const saveEdit = async (expectedVersion) => {
         try {
-            await editFile(filename, content);
+            const response = await editFile(filename, content, { expectedVersion });
+            setVersion(response.data.version);
+            setConflict(null);
+            refreshUsage();
             alert('✅ File edited successfully!');
         } catch (err) {
-            alert('❌ Edit failed.');
+            if (errorCode(err) === 'VERSION_CONFLICT') {
+                const { currentVersion, currentContent } = err.response.data;
+                setConflict({ version: currentVersion, content: currentContent });
+                return;
+            }
+            alert(`❌ Edit failed: ${describeError(err)}`);
         }
     };
 
+    const handleEdit = () => saveEdit(version);
+
+    // Saves our content over the newer server version.
+    const handleForceSave = () => saveEdit(conflict.version);
+
+    const handleTakeTheirs = () => {
+        setContent(conflict.content);
+        setVersion(conflict.version);
+        setConflict(null);
+    };
+
+    // Puts both versions in the editor with conflict markers; saving then targets the server version.
+    const handleMerge = () => {
+        setContent(`<<<<<<< yours\n${content}\n=======\n${conflict.content}\n>>>>>>> server\n`);
+        setVersion(conflict.version);
+        setConflict(null);
+    };
+
     const handleDelete = async () => {
         try {
             await deleteFile(filename);
-            alert('✅ File deleted successfully!');
+            refreshUsage();
+            alert('✅ File moved to trash.');
+        } catch (err) {
+            alert(`❌ Delete failed: ${describeError(err)}`);
+        }
+    };
+
+    const download = async (paths) => {
+        try {
+            await downloadArchive(paths, { format: downloadFormat });
         } catch (err) {
-            alert('❌ Delete failed.');
+            alert(`❌ Download failed: ${describeError(err)}`);
         }
     };
 
+    const handleDownload = () => download(downloadPaths.split(',').map((p) => p.trim()).filter(Boolean));
+
+    // The folder of the file being edited.
+    const handleDownloadFolder = () => download([filename.split('/').slice(0, -1).join('/')]);
+
+    if (user === undefined) return null;
+    if (user === null) return <LoginForm onLogin={setUser} />;
+
     return (
         <div className="app-container">
             <div className="card">
                 <h1 className="heading">MCP File Operations</h1>
 
+                <div className="session">
+                    <span>Signed in as <strong>{user.username}</strong> ({user.role})</span>
+                    <button onClick={handleLogout} className="link-button">Sign out</button>
+                </div>
+
+                <WorkspaceSwitcher user={user} onSwitch={handleWorkspaceSwitch} />
+                <UsageMeter refreshKey={usageKey} />
+
                 <div className="section">
                     <label className="label">Upload Folder:</label>
                     <input
@@ -57,7 +510,77 @@ const App = () => {
                         onChange={(e) => setSelectedFiles(e.target.files)}
                         className="input"
                     />
-                    <button onClick={handleUpload} className="button upload">Upload Folder</button>
+                    <label className="label">If a file already exists:</label>
+                    <select value={onConflict} onChange={(e) => setOnConflict(e.target.value)} className="input">
+                        <option value="overwrite">Overwrite it</option>
+                        <option value="skip">Skip it</option>
+                        <option value="rename">Keep both</option>
+                        <option value="fail">Cancel the upload</option>
+                    </select>
+                    <button onClick={handleUpload} disabled={Boolean(uploadProgress)} className="button upload">
+                        Upload Folder
+                    </button>
+                    <label className="label">Or Upload an Archive (.zip, .tar.gz) to Extract:</label>
+                    <input
+                        type="file"
+                        accept=".zip,.tar.gz,.tgz"
+                        onChange={(e) => setArchiveFile(e.target.files[0] || null)}
+                        className="input"
+                    />
+                    <input
+                        type="text"
+                        placeholder="Into folder (empty for the workspace root)"
+                        value={extractPath}
+                        onChange={(e) => setExtractPath(e.target.value)}
+                        className="input"
+                    />
+                    <button onClick={handleExtract} disabled={!archiveFile || Boolean(uploadProgress)} className="button upload">
+                        Upload and Extract
+                    </button>
+                    {uploadProgress && (
+                        <p className="upload-status">
+                            {uploadProgress.action} {uploadProgress.done + 1} of {uploadProgress.total}: {uploadProgress.path} ({uploadProgress.percent}%)
+                        </p>
+                    )}
+                    {uploadResults.length > 0 && (
+                        <details className="upload-status">
+                            <summary>Last upload: {summarizeResults(uploadResults)}</summary>
+                            <ul>
+                                {uploadResults.filter((result) => RESULT_DESCRIPTIONS[result.status]).map((result) => (
+                                    <li key={result.path}>{result.path}: {RESULT_DESCRIPTIONS[result.status](result)}</li>
+                                ))}
+                                {ignoredGroups(uploadResults).map(([ignored, count]) => (
+                                    <li key={`ignored:${ignored}`}>{ignored}: ignored{count > 1 && ` (${count} files)`}</li>
+                                ))}
+                            </ul>
+                        </details>
+                    )}
+                    {!uploadProgress && unfinishedUploads.length > 0 && (
+                        <p className="upload-status">
+                            {unfinishedUploads.length} file(s) did not finish uploading. Choose the same folder again to resume.
+                        </p>
+                    )}
+                </div>
+
+                <div className="section">
+                    <label className="label">Download (files and folders, comma-separated; empty for everything):</label>
+                    <input
+                        type="text"
+                        placeholder="e.g. docs, notes.txt"
+                        value={downloadPaths}
+                        onChange={(e) => setDownloadPaths(e.target.value)}
+                        className="input"
+                    />
+                    <select value={downloadFormat} onChange={(e) => setDownloadFormat(e.target.value)} className="input">
+                        <option value="zip">.zip</option>
+                        <option value="tar.gz">.tar.gz</option>
+                    </select>
+                    <div className="button-group">
+                        <button onClick={handleDownload} className="button open">Download</button>
+                        <button onClick={handleDownloadFolder} disabled={!filename} className="button open">
+                            Download This File's Folder
+                        </button>
+                    </div>
                 </div>
 
                 <div className="section">
@@ -66,7 +589,7 @@ const App = () => {
                         type="text"
                         placeholder="Enter filename"
                         value={filename}
-                        onChange={(e) => setFilename(e.target.value)}
+                        onChange={(e) => handleFilenameChange(e.target.value)}
                         className="input"
                     />
 
@@ -80,10 +603,26 @@ const App = () => {
                     ></textarea>
 
                     <div className="button-group">
+                        <button onClick={handleOpen} className="button open">Open File</button>
                         <button onClick={handleCreate} className="button create">Create File</button>
                         <button onClick={handleEdit} className="button edit">Edit File</button>
                         <button onClick={handleDelete} className="button delete">Delete File</button>
                     </div>
+
+                    {conflict && (
+                        <div className="conflict">
+                            <p className="conflict-message">
+                                ⚠️ {filename} was changed by someone else since you opened it.
+                            </p>
+                            <label className="label">Server version:</label>
+                            <textarea value={conflict.content} readOnly rows="5" className="textarea" />
+                            <div className="button-group">
+                                <button onClick={handleMerge} className="button edit">Merge</button>
+                                <button onClick={handleTakeTheirs} className="button open">Use Server Version</button>
+                                <button onClick={handleForceSave} className="button delete">Force Save</button>
+                            </div>
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
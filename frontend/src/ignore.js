@@ -0,0 +1,22 @@
+// Leaves ignored files out of an upload before they are sent. The rules (the server's
+// defaults, the workspace's .gitignore and .mcpignore, and those among the chosen files,
+// which apply to their own directory as in git) are only implemented by the server; it is
+// asked through checkIgnored().
+import { checkIgnored } from './mcpClient';
+
+export const IGNORE_FILES = ['.gitignore', '.mcpignore'];
+
+const pathOf = (file) => file.webkitRelativePath || file.name;
+
+/**
+ * Splits the chosen files into those to upload and those skipped ({ path, ignoredPath }).
+ */
+export const filterIgnored = async (files) => {
+    const ignoreFiles = {};
+    for (const file of files.filter((f) => IGNORE_FILES.includes(f.name))) {
+        ignoreFiles[pathOf(file)] = await file.text();
+    }
+    const { ignored } = (await checkIgnored(files.map(pathOf), ignoreFiles)).data;
+    const skipped = new Set(ignored.map((entry) => entry.path));
+    return { files: files.filter((file) => !skipped.has(pathOf(file))), skipped: ignored };
+};
@@ -2,20 +2,440 @@ import axios from 'axios';
 
 const BASE_URL = 'http://localhost:5000';
 
-export const uploadFiles = (files) => {
+const TOKEN_KEY = 'mcpSessionToken';
+const WORKSPACE_KEY = 'mcpWorkspace';
+const RECONNECT_DELAY_MS = 3000;
+
+// Every request carries the login session as a bearer token and names the current
+// workspace; without one the server uses the user's personal workspace.
+const api = axios.create();
+let onSignedOut = () => {};
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    const workspace = localStorage.getItem(WORKSPACE_KEY);
+    if (workspace) config.headers['X-Workspace-Id'] = workspace;
+    return config;
+});
+
+api.interceptors.response.use(null, (err) => {
+    // The session expired or was revoked on the server.
+    if (err.response && err.response.status === 401 && localStorage.getItem(TOKEN_KEY)) {
+        localStorage.removeItem(TOKEN_KEY);
+        onSignedOut();
+    }
+    return Promise.reject(err);
+});
+
+// Called whenever the server rejects the stored session, so the app can show the login screen.
+export const onAuthRequired = (callback) => {
+    onSignedOut = callback;
+};
+
+export const isSignedIn = () => Boolean(localStorage.getItem(TOKEN_KEY));
+
+// Rejects with INVALID_CREDENTIALS on a wrong username or password.
+export const login = async (username, password) => {
+    const response = await api.post(`${BASE_URL}/auth/login`, { username, password });
+    localStorage.setItem(TOKEN_KEY, response.data.token);
+    return response.data.user;
+};
+
+export const logout = async () => {
+    try {
+        await api.post(`${BASE_URL}/auth/logout`);
+    } finally {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(WORKSPACE_KEY);
+    }
+};
+
+export const currentUser = async () => (await api.get(`${BASE_URL}/auth/me`)).data.user;
+
+// Personal API tokens for scripts and agents. The token value is only in the create response.
+export const listApiTokens = () => {
+    return api.get(`${BASE_URL}/auth/tokens`);
+};
+
+export const createApiToken = (name, { expiresInDays } = {}) => {
+    return api.post(`${BASE_URL}/auth/tokens`, { name, expiresInDays });
+};
+
+export const revokeApiToken = (id) => {
+    return api.delete(`${BASE_URL}/auth/tokens/${encodeURIComponent(id)}`);
+};
+
+// The workspace all file calls below go to; null means the personal one.
+export const getWorkspace = () => localStorage.getItem(WORKSPACE_KEY);
+
+export const setWorkspace = (id) => {
+    if (id) localStorage.setItem(WORKSPACE_KEY, id);
+    else localStorage.removeItem(WORKSPACE_KEY);
+};
+
+// Query parameters that authenticate one GET request the browser makes itself (EventSource,
+// download links), which cannot carry headers: a single-use ticket, never the session token.
+const ticketParams = async () => {
+    const params = new URLSearchParams({ ticket: (await api.post(`${BASE_URL}/auth/tickets`)).data.ticket });
+    if (getWorkspace()) params.set('workspace', getWorkspace());
+    return params;
+};
+
+// The personal workspace ("~<username>") and the shared ones the user is a member of.
+export const listWorkspaces = () => {
+    return api.get(`${BASE_URL}/workspaces`);
+};
+
+export const createWorkspace = (name) => {
+    return api.post(`${BASE_URL}/workspaces`, { name });
+};
+
+export const renameWorkspace = (id, name) => {
+    return api.patch(`${BASE_URL}/workspaces/${encodeURIComponent(id)}`, { name });
+};
+
+// Rejects with WORKSPACE_NOT_EMPTY unless all files were removed first.
+export const deleteWorkspace = (id) => {
+    return api.delete(`${BASE_URL}/workspaces/${encodeURIComponent(id)}`);
+};
+
+export const inviteToWorkspace = (id, username) => {
+    return api.post(`${BASE_URL}/workspaces/${encodeURIComponent(id)}/invites`, { username });
+};
+
+// Removes another member (owner only) or, with one's own username, leaves the workspace.
+export const removeWorkspaceMember = (id, username) => {
+    return api.delete(`${BASE_URL}/workspaces/${encodeURIComponent(id)}/members/${encodeURIComponent(username)}`);
+};
+
+// Invites waiting for the signed-in user.
+export const listInvites = () => {
+    return api.get(`${BASE_URL}/workspaces/invites`);
+};
+
+export const acceptInvite = (inviteId) => {
+    return api.post(`${BASE_URL}/workspaces/invites/${encodeURIComponent(inviteId)}/accept`);
+};
+
+export const declineInvite = (inviteId) => {
+    return api.delete(`${BASE_URL}/workspaces/invites/${encodeURIComponent(inviteId)}`);
+};
+
+// Admin only: user roles (viewer, editor, admin) and path rules such as
+// { path: '/vendor/**', effect: 'deny', actions: ['write', 'delete'], roles: ['editor'] }.
+export const listUsers = () => {
+    return api.get(`${BASE_URL}/admin/users`);
+};
+
+export const setUserRole = (username, role) => {
+    return api.put(`${BASE_URL}/admin/users/${encodeURIComponent(username)}/role`, { role });
+};
+
+export const listAccessRules = () => {
+    return api.get(`${BASE_URL}/admin/rules`);
+};
+
+export const addAccessRule = (rule) => {
+    return api.post(`${BASE_URL}/admin/rules`, rule);
+};
+
+export const updateAccessRule = (id, changes) => {
+    return api.put(`${BASE_URL}/admin/rules/${encodeURIComponent(id)}`, changes);
+};
+
+export const deleteAccessRule = (id) => {
+    return api.delete(`${BASE_URL}/admin/rules/${encodeURIComponent(id)}`);
+};
+
+const fileUrl = (filename) => `${BASE_URL}/files/${filename.split('/').map(encodeURIComponent).join('/')}`;
+
+// Multipart upload in one request. onConflict: 'overwrite' | 'skip' | 'rename' | 'fail'.
+// The response's results say what happened to each file, including ignored ones.
+export const uploadFiles = (files, { onConflict = 'overwrite' } = {}) => {
     const formData = new FormData();
-    files.forEach(file => formData.append('files', file));
-    return axios.post(`${BASE_URL}/upload`, formData);
+    files.forEach(file => formData.append('files', file, file.webkitRelativePath || file.name));
+    return api.post(`${BASE_URL}/upload`, formData, { params: { onConflict } });
+};
+
+// Downloads `paths` (files or folders; none for the whole workspace) as one archive,
+// format 'zip' or 'tar.gz'. The browser fetches it itself, so the archive streams to disk
+// instead of being held in memory.
+export const downloadArchive = async (paths = [], { format = 'zip' } = {}) => {
+    const params = await ticketParams();
+    params.set('format', format);
+    paths.forEach((p) => params.append('path', p));
+    const link = document.createElement('a');
+    link.href = `${BASE_URL}/archive?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+};
+
+// Uploads a .zip or .tar.gz that the server extracts into folder `path` (the workspace root
+// by default), with the same onConflict policies and per-file results as uploadFiles.
+// onProgress(sent, total) follows the upload of the archive itself.
+export const uploadArchive = (file, { path = '', onConflict = 'overwrite', onProgress } = {}) => {
+    const formData = new FormData();
+    formData.append('archive', file);
+    return api.post(`${BASE_URL}/archive`, formData, {
+        params: { path, onConflict },
+        onUploadProgress: (event) => onProgress && event.total && onProgress(event.loaded, event.total)
+    });
+};
+
+// Which of `paths` the upload ignore rules leave out, given the text of the .gitignore and
+// .mcpignore files among them ({ [path]: text }). See ignore.js.
+export const checkIgnored = (paths, ignoreFiles = {}) => {
+    return api.post(`${BASE_URL}/upload/ignore`, { paths, ignoreFiles });
+};
+
+// Resumable uploads over the tus protocol. Files go up in checksummed chunks; the upload
+// URL of an unfinished file is kept in localStorage, so choosing the same file again
+// (even after a reload) continues where it stopped instead of starting over.
+const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+const UPLOADS_KEY = 'mcpResumableUploads';
+const CHUNK_SIZE = 5 * 1024 * 1024;
+
+const storedUploads = () => JSON.parse(localStorage.getItem(UPLOADS_KEY) || '{}');
+
+const storeUpload = (key, upload) => {
+    const uploads = storedUploads();
+    if (upload) uploads[key] = upload;
+    else delete uploads[key];
+    localStorage.setItem(UPLOADS_KEY, JSON.stringify(uploads));
+};
+
+const toBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+// Unfinished uploads in the current workspace: [{ path, size }].
+export const pendingUploads = () => Object.values(storedUploads())
+    .filter((upload) => upload.workspace === (getWorkspace() || ''))
+    .map(({ path, size }) => ({ path, size }));
+
+// What the server did with a finished upload: { path, status, savedAs? } as in /upload's results.
+const uploadResult = (path, headers) => {
+    const result = { path, status: headers['upload-result'] };
+    if (result.status === 'renamed') result.savedAs = decodeURIComponent(headers['upload-saved-as']);
+    return result;
+};
+
+/**
+ * Starts the upload of `file` to `path` (by default its relative path in the chosen folder),
+ * or resumes it if the same file was started before. onConflict is 'overwrite', 'skip',
+ * 'rename' or 'fail'. Rejects with PATH_IGNORED if the server's ignore rules exclude the
+ * file, and with FILE_EXISTS if it exists and onConflict is 'skip' or 'fail'. Nothing is
+ * sent yet: pass the result to sendResumable, or to cancelResumable.
+ */
+export const startResumable = async (file, { path = file.webkitRelativePath || file.name, onConflict = 'overwrite' } = {}) => {
+    const workspace = getWorkspace() || '';
+    const key = [workspace, path, file.size, file.lastModified, onConflict].join(':');
+    const stored = storedUploads()[key];
+    if (stored) {
+        try {
+            const response = await api.head(`${BASE_URL}${stored.url}`, { headers: TUS_HEADERS });
+            return { file, path, key, url: stored.url, offset: Number(response.headers['upload-offset']), resumed: true };
+        } catch (err) {
+            // Expired or abandoned on the server: start again.
+            if (!err.response || ![404, 410].includes(err.response.status)) throw err;
+        }
+    }
+    const encode = (text) => toBase64(new TextEncoder().encode(text));
+    const response = await api.post(`${BASE_URL}/uploads`, null, {
+        headers: {
+            ...TUS_HEADERS,
+            'Upload-Length': String(file.size),
+            'Upload-Metadata': `filename ${encode(path)},onConflict ${encode(onConflict)}`
+        }
+    });
+    const upload = { file, path, key, url: response.headers.location, offset: 0, resumed: false };
+    // An empty file is finished as soon as it is created.
+    if (response.headers['upload-result']) return { ...upload, result: uploadResult(path, response.headers) };
+    storeUpload(key, { url: upload.url, workspace, path, size: file.size });
+    return upload;
+};
+
+// Sends the rest of a started upload in chunks and resolves to its result.
+// onProgress(bytesSent, totalBytes) is called after every chunk.
+export const sendResumable = async (upload, { onProgress } = {}) => {
+    if (upload.result) return upload.result;
+    const { file, path, key, url } = upload;
+    let { offset } = upload;
+    let result = null;
+
+    const sendChunk = async (data) => {
+        const digest = await crypto.subtle.digest('SHA-1', data);
+        const response = await api.patch(`${BASE_URL}${url}`, data, {
+            headers: {
+                ...TUS_HEADERS,
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(offset),
+                'Upload-Checksum': `sha1 ${toBase64(new Uint8Array(digest))}`
+            }
+        });
+        offset = Number(response.headers['upload-offset']);
+        if (response.headers['upload-result']) result = uploadResult(path, response.headers);
+        if (onProgress) onProgress(offset, file.size);
+    };
+
+    // All bytes arrived earlier but the file could not be put in place (e.g. over quota):
+    // an empty chunk asks the server to try again.
+    if (upload.resumed && offset === file.size) await sendChunk(new ArrayBuffer(0));
+    while (offset < file.size) {
+        await sendChunk(await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    }
+    storeUpload(key, null);
+    return result;
+};
+
+// Abandons a started upload; the server drops what it received.
+export const cancelResumable = async (upload) => {
+    if (!upload.result) await api.delete(`${BASE_URL}${upload.url}`, { headers: TUS_HEADERS });
+    storeUpload(upload.key, null);
+};
+
+// startResumable and sendResumable in one go.
+export const uploadResumable = async (file, options = {}) => sendResumable(await startResumable(file, options), options);
+
+// Rejects with code FILE_EXISTS if the file exists, unless overwrite is set.
+export const createFile = (filename, content, { overwrite = false } = {}) => {
+    return api.post(`${BASE_URL}/create`, { filename, content, overwrite });
 };
 
-export const createFile = (filename, content) => {
-    return axios.post(`${BASE_URL}/create`, { filename, content });
+// Rejects with code FILE_NOT_FOUND if the file does not exist, and with VERSION_CONFLICT
+// (carrying currentVersion and currentContent) if expectedVersion no longer matches.
+export const editFile = (filename, content, { expectedVersion } = {}) => {
+    return api.post(`${BASE_URL}/edit`, { filename, content, expectedVersion });
 };
 
-export const editFile = (filename, content) => {
-    return axios.post(`${BASE_URL}/edit`, { filename, content });
+// Partial edit: edit is one of { lines }, { replacements } or { patch }. Rejects with
+// EDIT_FAILED (carrying failures) if any part does not apply; nothing is written then.
+export const patchFile = (filename, edit, { expectedVersion } = {}) => {
+    return api.post(`${BASE_URL}/edit`, { filename, ...edit, expectedVersion });
 };
 
+// Moves the file to the trash; the response carries its trashId.
 export const deleteFile = (filename) => {
-    return axios.post(`${BASE_URL}/delete`, { filename });
+    return api.post(`${BASE_URL}/delete`, { filename });
+};
+
+export const makeDirectory = (path) => {
+    return api.post(`${BASE_URL}/mkdir`, { path });
+};
+
+// Renames or moves a file or folder; an existing file at `to` is replaced only with overwrite.
+export const movePath = (from, to, { overwrite = false } = {}) => {
+    return api.post(`${BASE_URL}/move`, { from, to, overwrite });
+};
+
+// Copies a file or folder recursively. onConflict: 'fail' | 'skip' | 'overwrite'.
+export const copyPath = (from, to, { onConflict = 'fail' } = {}) => {
+    return api.post(`${BASE_URL}/copy`, { from, to, onConflict });
+};
+
+// Moves a folder to the trash. Deleting a non-empty folder needs recursive and confirm.
+export const deleteDirectory = (path, { recursive = false, confirm = false } = {}) => {
+    return api.post(`${BASE_URL}/rmdir`, { path, recursive, confirm });
+};
+
+// The workspace's storage usage ({ bytes, files }) and its limits; 0 means unlimited.
+export const getUsage = () => {
+    return api.get(`${BASE_URL}/usage`);
+};
+
+export const listTrash = () => {
+    return api.get(`${BASE_URL}/trash`);
+};
+
+// onConflict: 'fail' | 'rename' | 'overwrite', for when the original path is taken again.
+export const restoreFromTrash = (id, { onConflict = 'fail', path } = {}) => {
+    return api.post(`${BASE_URL}/trash/restore`, { id, onConflict, path });
+};
+
+// Without an id, empties the whole trash.
+export const purgeTrash = (id) => {
+    return api.delete(id ? `${BASE_URL}/trash/${encodeURIComponent(id)}` : `${BASE_URL}/trash`);
+};
+
+// params: { path, depth, include, exclude, sort, order, limit, cursor }
+export const listFiles = (params = {}) => {
+    // Repeat array params (include=a&include=b) the way Express parses them.
+    return api.get(`${BASE_URL}/files`, { params, paramsSerializer: { indexes: null } });
+};
+
+// options: { etag, start, end }. With an etag, an unchanged file resolves with status 304.
+// The response's ETag header identifies the version that was read.
+export const readFile = (filename, { etag, start, end } = {}) => {
+    const headers = {};
+    if (etag) headers['If-None-Match'] = etag;
+    if (start !== undefined) headers.Range = `bytes=${start}-${end ?? ''}`;
+    return api.get(fileUrl(filename), {
+        headers,
+        responseType: 'text',
+        // File contents stay text (even .json files); only error bodies are parsed.
+        transformResponse: (data, headers, status) => {
+            if (status < 400) return data;
+            try {
+                return JSON.parse(data);
+            } catch (err) {
+                return data;
+            }
+        },
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+    });
+};
+
+// Live workspace changes. onChange receives { id, type, path, oldPath?, source, time } where
+// type is created, modified, deleted or renamed. options: { path, include, onReset }; onReset
+// is called when the server could not replay what was missed while disconnected.
+// Returns a function that closes the stream.
+export const subscribe = (onChange, { path, include, onReset } = {}) => {
+    let source = null;
+    let closed = false;
+    let lastEventId;
+    const connect = async () => {
+        let params;
+        try {
+            params = await ticketParams();
+        } catch (err) {
+            // On 401 the session is gone and the app shows the login screen; retry anything else.
+            if (!closed && !(err.response && err.response.status === 401)) setTimeout(connect, RECONNECT_DELAY_MS);
+            return;
+        }
+        if (closed) return;
+        if (path) params.set('path', path);
+        [].concat(include || []).forEach((glob) => params.append('include', glob));
+        // Passed along so the server replays the changes missed while disconnected.
+        if (lastEventId !== undefined) params.set('lastEventId', lastEventId);
+        source = new EventSource(`${BASE_URL}/events?${params}`);
+        source.addEventListener('change', (message) => {
+            lastEventId = message.lastEventId;
+            onChange(JSON.parse(message.data));
+        });
+        source.addEventListener('reset', () => onReset && onReset());
+        // A ticket is only good for one connection, so EventSource's own retry with the same
+        // URL would be refused; reconnect with a new ticket instead.
+        source.onerror = () => {
+            source.close();
+            if (!closed) setTimeout(connect, RECONNECT_DELAY_MS);
+        };
+    };
+    connect();
+    return () => {
+        closed = true;
+        if (source) source.close();
+    };
+};
+
+// The server's machine-readable error code for a failed request, e.g. FILE_EXISTS.
+export const errorCode = (err) => {
+    if (!err.response) return 'NETWORK_ERROR';
+    return (err.response.data && err.response.data.code) || 'INTERNAL_ERROR';
 };